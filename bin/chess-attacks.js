@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Print attack maps for FEN/EPD/PGN input, fully offline:
+//   chess-attacks "<fen>"                 ASCII board with attacker counts
+//   chess-attacks --json --depth 3 "<fen>"
+//   chess-attacks --batch -o out.jsonl positions.epd games.pgn
+import { readFileSync, writeFileSync, openSync, writeSync, closeSync, existsSync } from 'node:fs'
+import { basename, extname } from 'node:path'
+import { parseArgs } from 'node:util'
+import { analyzePosition } from '../src/utils/analysis.js'
+import { readPositions, renderAsciiBoard, attackRecord, INPUT_FORMATS } from '../src/utils/attackReport.js'
+
+const USAGE = `Usage: chess-attacks [options] <FEN | file | -> ...
+
+Inputs are FEN strings, files (.fen/.epd: one position per line, .pgn: games)
+or "-" for standard input.
+
+Options:
+  --depth N        Coverage depth, 1 or more (default 1: current attacks only)
+  --json           Print JSON (attackers/defenders per square) instead of ASCII
+  --batch          Write one JSON record per position (JSON Lines)
+  --xray           Include x-ray attacks in JSON output
+  --format F       Input format: ${INPUT_FORMATS.join(', ')} (default auto)
+  --last           PGN: only each game's final position
+  -o, --output F   Write to a file instead of standard output
+  -h, --help       Show this help`
+
+// Format implied by a file extension, or auto-detection
+function formatFor(file, format) {
+  if (format !== 'auto') return format
+  const ext = extname(file).slice(1).toLowerCase()
+  return INPUT_FORMATS.includes(ext) ? ext : 'auto'
+}
+
+function readInput(arg, { format, last }) {
+  if (arg === '-') {
+    return readPositions(readFileSync(0, 'utf8'), { format, source: 'stdin', lastOnly: last })
+  }
+  if (existsSync(arg)) {
+    return readPositions(readFileSync(arg, 'utf8'), { format: formatFor(arg, format), source: basename(arg), lastOnly: last })
+  }
+  // Anything else is a position (or PGN movetext) given on the command line
+  return readPositions(arg, { format, source: 'argument', lastOnly: last })
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      depth: { type: 'string', default: '1' },
+      json: { type: 'boolean', default: false },
+      batch: { type: 'boolean', default: false },
+      xray: { type: 'boolean', default: false },
+      format: { type: 'string', default: 'auto' },
+      last: { type: 'boolean', default: false },
+      output: { type: 'string', short: 'o' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  })
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE)
+    return values.help ? 0 : 1
+  }
+
+  const depth = Number(values.depth)
+  if (!Number.isInteger(depth) || depth < 1) {
+    throw new Error(`Invalid depth "${values.depth}": expected a whole number of 1 or more`)
+  }
+  if (!INPUT_FORMATS.includes(values.format)) {
+    throw new Error(`Invalid format "${values.format}": expected one of ${INPUT_FORMATS.join(', ')}`)
+  }
+
+  // Batch records are written as they are produced, so large sets never pile up in memory
+  const fd = values.output ? openSync(values.output, 'w') : 1
+  const records = []
+  const blocks = []
+  let failed = 0
+
+  try {
+    for (const arg of positionals) {
+      for (const { label, position, error } of readInput(arg, values)) {
+        if (error) {
+          failed++
+          console.error(`${label}: ${error}`)
+          continue
+        }
+        const analysis = analyzePosition(position, { depth, xray: values.xray })
+        if (values.batch) {
+          writeSync(fd, `${JSON.stringify(attackRecord(analysis, label))}\n`)
+        } else if (values.json) {
+          records.push(attackRecord(analysis, label))
+        } else {
+          blocks.push(`${label}\n${renderAsciiBoard(analysis)}`)
+        }
+      }
+    }
+  } finally {
+    if (fd !== 1) closeSync(fd)
+  }
+  if (values.batch) return failed ? 1 : 0
+
+  let output
+  if (values.json) {
+    output = JSON.stringify(records.length === 1 ? records[0] : records, null, 2)
+  } else {
+    output = blocks.length
+      ? [...blocks, 'Counts per square: white:black pieces attacking or defending it'].join('\n\n')
+      : ''
+  }
+
+  if (values.output) {
+    writeFileSync(values.output, output ? `${output}\n` : '')
+  } else if (output) {
+    console.log(output)
+  }
+  return failed ? 1 : 0
+}
+
+try {
+  process.exitCode = main()
+} catch (err) {
+  console.error(`chess-attacks: ${err.message}`)
+  process.exitCode = 2
+}
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// Local WebSocket bridge between the visualizer and a UCI engine on this machine:
+//   uci-bridge -- stockfish                 run "stockfish" for each browser connection
+//   uci-bridge --port 9000 -- /path/to/engine --some-flag
+//   uci-bridge --scripted [--script lines.json]   the scripted stand-in engine, no binary
+// Each WebSocket text message is one UCI line in either direction. Only loopback
+// addresses are served by default, and only pages from localhost may connect.
+import { spawn } from 'node:child_process'
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+import { createServer } from 'node:http'
+import { createInterface } from 'node:readline'
+import { parseArgs } from 'node:util'
+import { createScriptedEngine } from '../src/utils/scriptedEngine.js'
+
+const USAGE = `Usage: uci-bridge [options] -- <engine command> [engine args...]
+       uci-bridge [options] --scripted [--script lines.json]
+
+Runs a UCI engine for each WebSocket connection from the visualizer
+(Engine panel, or ChessViz.connectEngine('ws://localhost:8765')).
+
+Options:
+  --port N              Port to listen on (default 8765)
+  --host H              Address to listen on (default 127.0.0.1)
+  --allow-origin URL    Also accept connections from pages at URL (repeatable)
+  --scripted            Use the scripted stand-in engine instead of a program
+  --script F            JSON lines for the stand-in, keyed by FEN
+  -h, --help            Show this help`
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+const OPCODES = { continuation: 0, text: 1, close: 8, ping: 9, pong: 10 }
+// Largest message accepted from a page; UCI commands are short
+const MAX_MESSAGE = 64 * 1024
+
+// Commands a page may send. Other options (log files, tablebase paths, ...) can make an
+// engine touch the file system, so only these few can be set.
+const ALLOWED_COMMANDS = ['uci', 'isready', 'ucinewgame', 'position', 'go', 'stop', 'ponderhit', 'quit']
+const ALLOWED_OPTIONS = ['MultiPV', 'Threads', 'Hash', 'UCI_ShowWDL', 'Skill Level']
+
+function isAllowedCommand(line) {
+  const [command] = line.trim().split(/\s+/)
+  if (ALLOWED_COMMANDS.includes(command)) return true
+  const option = /^setoption\s+name\s+(.+?)(?:\s+value\s+.*)?$/.exec(line.trim())
+  return Boolean(option && ALLOWED_OPTIONS.includes(option[1]))
+}
+
+function isAllowedOrigin(origin, allowed) {
+  // Non-browser clients send no Origin
+  if (!origin) return true
+  if (allowed.includes(origin)) return true
+  try {
+    const { hostname } = new URL(origin)
+    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]'
+  } catch {
+    return false
+  }
+}
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length
+  const header = length < 126 ? Buffer.alloc(2) : Buffer.alloc(length < 65536 ? 4 : 10)
+  header[0] = 0x80 | opcode
+  if (length < 126) {
+    header[1] = length
+  } else if (length < 65536) {
+    header[1] = 126
+    header.writeUInt16BE(length, 2)
+  } else {
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(length), 2)
+  }
+  return Buffer.concat([header, payload])
+}
+
+// Error that ends a connection with a WebSocket close code
+function frameError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+// Split complete frames off the front of buffer: { frames: [{ fin, opcode, payload }], rest }
+// Pages must mask what they send (RFC 6455), so unmasked frames are refused.
+function decodeFrames(buffer) {
+  const frames = []
+  let offset = 0
+  while (buffer.length - offset >= 2) {
+    const fin = (buffer[offset] & 0x80) !== 0
+    const opcode = buffer[offset] & 0x0f
+    const masked = (buffer[offset + 1] & 0x80) !== 0
+    if (!masked) throw frameError(1002, 'Unmasked frame from the client')
+    let length = buffer[offset + 1] & 0x7f
+    let cursor = offset + 2
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break
+      length = buffer.readUInt16BE(cursor)
+      cursor += 2
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break
+      length = Number(buffer.readBigUInt64BE(cursor))
+      cursor += 8
+    }
+    if (length > MAX_MESSAGE) throw frameError(1009, `Message of ${length} bytes is too large`)
+    const mask = buffer.subarray(cursor, cursor + 4)
+    cursor += 4
+    if (buffer.length < cursor + length) break
+
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length))
+    payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4] })
+    frames.push({ fin, opcode, payload })
+    offset = cursor + length
+  }
+  return { frames, rest: buffer.subarray(offset) }
+}
+
+// The engine for one connection, with the transport interface of engineClient.js
+function startEngine({ scripted, script, command }) {
+  if (scripted) return createScriptedEngine({ script })
+
+  const [program, ...args] = command
+  const child = spawn(program, args, { stdio: ['pipe', 'pipe', 'inherit'] })
+  let lineHandler = () => {}
+  let closeHandler = () => {}
+  createInterface({ input: child.stdout }).on('line', line => lineHandler(line))
+  child.on('error', err => closeHandler(err))
+  child.on('exit', code => closeHandler(code ? new Error(`${program} exited with code ${code}`) : null))
+
+  return {
+    send(line) {
+      if (child.stdin.writable) child.stdin.write(`${line}\n`)
+    },
+    onLine(callback) {
+      lineHandler = callback
+    },
+    onClose(callback) {
+      closeHandler = callback
+    },
+    close() {
+      // Engines get a moment to act on "quit" before being stopped
+      setTimeout(() => child.kill(), 1000).unref()
+    },
+  }
+}
+
+function serveConnection(socket, options, label) {
+  const engine = startEngine(options)
+  let buffer = Buffer.alloc(0)
+  let message = []
+  let messageLength = 0
+  let open = true
+
+  const closeSocket = (code = 1000) => {
+    if (!open) return
+    open = false
+    const payload = Buffer.alloc(2)
+    payload.writeUInt16BE(code)
+    socket.end(encodeFrame(OPCODES.close, payload))
+    engine.send('quit')
+    engine.close()
+  }
+
+  engine.onLine((line) => {
+    if (open) socket.write(encodeFrame(OPCODES.text, Buffer.from(line)))
+  })
+  engine.onClose((error) => {
+    if (error) console.error(`uci-bridge: ${label}: ${error.message}`)
+    closeSocket(error ? 1011 : 1000)
+  })
+
+  socket.on('data', (chunk) => {
+    let frames
+    try {
+      ({ frames, rest: buffer } = decodeFrames(Buffer.concat([buffer, chunk])))
+    } catch (err) {
+      console.error(`uci-bridge: ${label}: ${err.message}`)
+      closeSocket(err.code ?? 1002)
+      return
+    }
+    for (const { fin, opcode, payload } of frames) {
+      if (opcode === OPCODES.close) {
+        closeSocket()
+        return
+      }
+      if (opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, payload))
+        continue
+      }
+      if (opcode !== OPCODES.text && opcode !== OPCODES.continuation) continue
+
+      // Each frame is within MAX_MESSAGE, but a message can run over many frames
+      messageLength += payload.length
+      if (messageLength > MAX_MESSAGE) {
+        console.error(`uci-bridge: ${label}: Message of over ${MAX_MESSAGE} bytes is too large`)
+        closeSocket(1009)
+        return
+      }
+      message.push(payload)
+      if (!fin) continue
+      const text = Buffer.concat(message).toString('utf8')
+      message = []
+      messageLength = 0
+      for (const line of text.split('\n').filter(line => line.trim())) {
+        if (isAllowedCommand(line)) {
+          engine.send(line)
+        } else {
+          console.error(`uci-bridge: ${label}: ignored "${line.trim()}"`)
+        }
+      }
+    }
+  })
+  socket.on('close', () => {
+    if (open) {
+      open = false
+      engine.send('quit')
+      engine.close()
+    }
+  })
+  socket.on('error', () => socket.destroy())
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      port: { type: 'string', default: '8765' },
+      host: { type: 'string', default: '127.0.0.1' },
+      'allow-origin': { type: 'string', multiple: true, default: [] },
+      scripted: { type: 'boolean', default: false },
+      script: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  })
+
+  if (values.help || (!values.scripted && positionals.length === 0)) {
+    console.log(USAGE)
+    return values.help ? 0 : 1
+  }
+
+  const port = Number(values.port)
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port "${values.port}": expected a whole number from 1 to 65535`)
+  }
+  const options = {
+    scripted: values.scripted,
+    script: values.script ? JSON.parse(readFileSync(values.script, 'utf8')) : undefined,
+    command: positionals,
+  }
+  const engineName = values.scripted ? 'scripted engine' : positionals.join(' ')
+
+  let connections = 0
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' })
+    res.end('uci-bridge speaks WebSocket only\n')
+  })
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key']
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+      return
+    }
+    if (!isAllowedOrigin(req.headers.origin, values['allow-origin'])) {
+      console.error(`uci-bridge: refused a connection from ${req.headers.origin}`)
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n')
+      return
+    }
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64')
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      '',
+    ].join('\r\n'))
+    serveConnection(socket, options, `connection ${++connections}`)
+  })
+  server.on('error', (err) => {
+    console.error(`uci-bridge: ${err.message}`)
+    process.exitCode = 2
+  })
+  server.listen(port, values.host, () => {
+    console.error(`uci-bridge: ${engineName} on ws://${values.host}:${port}`)
+  })
+  return 0
+}
+
+try {
+  process.exitCode = main()
+} catch (err) {
+  console.error(`uci-bridge: ${err.message}`)
+  process.exitCode = 2
+}
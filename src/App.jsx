@@ -1,53 +1,39 @@
-import { useState, useCallback, useEffect, useRef } from 'react'
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react'
 import ChessBoard from './components/ChessBoard'
 import PiecePalette from './components/PiecePalette'
-import { calculateAllAttacks, calculateAttacksWithDepth, PIECE_COLORS } from './utils/pieceLogic'
+import GamePanel from './components/GamePanel'
+import WeakPiecesPanel from './components/WeakPiecesPanel'
+import HistoryPanel from './components/HistoryPanel'
+import PieceMenu from './components/PieceMenu'
+import PositionPanel from './components/PositionPanel'
+import PromotionPicker from './components/PromotionPicker'
+import StartPositionPanel from './components/StartPositionPanel'
+import EnginePanel from './components/EnginePanel'
+import StatsPanel from './components/StatsPanel'
+import SquareInspector from './components/SquareInspector'
+import { usePositionHistory } from './hooks/usePositionHistory'
+import { usePointerDrag } from './hooks/usePointerDrag'
+import { useUrlSync } from './hooks/useUrlSync'
+import { useAnalysis } from './hooks/useAnalysis'
+import { useCustomStarts } from './hooks/useCustomStarts'
+import { useEngine } from './hooks/useEngine'
+import { getLegalMoves, getPieceLegalMoves, getEnPassantTargets, isPromotionRow, makeMove, findUciMove, moveToUci, getPieceSymbol, PIECE_COLORS, coverageDepthLimit } from './utils/pieceLogic'
+import { parseFen, parsePieceList, parseSquare, squareName, startPosition, toFen, validCastling, DEFAULT_POSITION_META } from './utils/fen'
+import { parsePgn, replayGame, describeGame, findSanMove } from './utils/pgn'
+import { exportBoardImage } from './utils/exportImage'
+import { parseAnnotations, normalizeAnnotations, toggleAnnotation, EMPTY_ANNOTATIONS } from './utils/annotations'
+import { parseUrlState, buildUrlSearch, selectionFromSquares } from './utils/urlState'
+import { getDepthOverlayStyle } from './utils/squareView'
+import { getAnalysis } from './utils/analysis'
+import { definePiece, getFairyPieces, getPieceDefinition, isStandardPiece, pieceTypeForLetter } from './utils/pieceDefinitions'
+import { boardSize, boardSizeId, createEmptyBoard, parseBoardSize, resizeBoard, FILES } from './utils/boardSize'
+import { resolveStart } from './utils/startPositions'
+import { calculatePositionStats } from './utils/positionStats'
+import { inspectSquare } from './utils/squareInspection'
+import { DEFAULT_BRIDGE_URL, MAX_MULTI_PV } from './utils/engineClient'
+import { formatScore, replayPv } from './utils/uci'
 import './App.css'
 
-// Parse URL params to set initial pieces and settings
-function parseUrlParams() {
-  const params = new URLSearchParams(window.location.search)
-  const piecesParam = params.get('pieces')
-  const distinctParam = params.get('distinct')
-  const depthParam = params.get('depth')
-  
-  let board = null
-  let nextIndex = 0
-  
-  if (piecesParam) {
-    board = Array(8).fill(null).map(() => Array(8).fill(null))
-    const pieceMap = { k: 'king', q: 'queen', r: 'rook', b: 'bishop', n: 'knight', p: 'pawn' }
-    const files = { a: 0, b: 1, c: 2, d: 3, e: 4, f: 5, g: 6, h: 7 }
-
-    let pieceIndex = 0
-    piecesParam.split(',').forEach(piece => {
-      piece = piece.trim()
-      if (piece.length < 3) return
-      
-      const pieceLetter = piece[0]
-      const file = piece[1].toLowerCase()
-      const rank = piece[2]
-      
-      const type = pieceMap[pieceLetter.toLowerCase()]
-      const color = pieceLetter === pieceLetter.toUpperCase() ? 'white' : 'black'
-      const col = files[file]
-      const row = 8 - parseInt(rank)
-      
-      if (type && col !== undefined && row >= 0 && row < 8) {
-        board[row][col] = { type, color, pieceIndex: pieceIndex++ }
-      }
-    })
-    nextIndex = pieceIndex
-  }
-
-  return { 
-    board, 
-    nextIndex,
-    distinct: distinctParam === '1' || distinctParam === 'true',
-    depth: depthParam ? parseInt(depthParam) : 1
-  }
-}
-
 // Expose global API for programmatic control
 if (typeof window !== 'undefined') {
   window.ChessViz = {
@@ -56,125 +42,323 @@ if (typeof window !== 'undefined') {
   }
 }
 
-// Create standard chess starting position
-function createStartingBoard() {
-  const board = Array(8).fill(null).map(() => Array(8).fill(null))
-  let idx = 0
-  
-  const backRow = ['rook', 'knight', 'bishop', 'queen', 'king', 'bishop', 'knight', 'rook']
-  // Black pieces (rank 8 = row 0)
-  for (let col = 0; col < 8; col++) {
-    board[0][col] = { type: backRow[col], color: 'black', pieceIndex: idx++ }
-  }
-  // Black pawns (rank 7 = row 1)
-  for (let col = 0; col < 8; col++) {
-    board[1][col] = { type: 'pawn', color: 'black', pieceIndex: idx++ }
-  }
-  // White pawns (rank 2 = row 6)
-  for (let col = 0; col < 8; col++) {
-    board[6][col] = { type: 'pawn', color: 'white', pieceIndex: idx++ }
-  }
-  // White pieces (rank 1 = row 7)
-  for (let col = 0; col < 8; col++) {
-    board[7][col] = { type: backRow[col], color: 'white', pieceIndex: idx++ }
-  }
-  
-  return { board, nextIndex: idx }
+// How long an exported image's object URL stays valid for the download to start
+const DOWNLOAD_URL_LIFETIME_MS = 60000
+
+// King safety summary line: "White king g1: 2 attackers, weight 7, check"
+function describeKingSafety(king, height) {
+  const side = king.color === 'white' ? 'White' : 'Black'
+  const flags = king.checkmate ? ', checkmate' : king.doubleCheck ? ', double check' : king.check ? ', check' : ''
+  const attackers = `${king.attackers.length} attacker${king.attackers.length === 1 ? '' : 's'}`
+  const safe = king.flights.filter(f => f.status === 'safe').length
+  return `${side} king ${squareName(king.row, king.col, height)}: ${attackers}, weight ${king.attackWeight}, ${safe} safe flight${safe === 1 ? '' : 's'}${flags}`
+}
+
+// Pawn structure summary of one side:
+// "White: 2 islands (a-c, e-h), 1 passed, 1 isolated, 2 doubled, 0 backward, 3 holes, 1 outpost"
+function describePawnStructure(color, { pawns, islands, holes, outposts }) {
+  const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`
+  const files = islands.map(island => `${FILES[island[0]]}${island.length > 1 ? `-${FILES[island[island.length - 1]]}` : ''}`)
+  const flagged = (flag) => pawns.filter(p => p[flag]).length
+  return [
+    `${color === 'white' ? 'White' : 'Black'}: ${count(islands.length, 'island')}${files.length ? ` (${files.join(', ')})` : ''}`,
+    `${flagged('passed')} passed`,
+    `${flagged('isolated')} isolated`,
+    `${flagged('doubled')} doubled`,
+    `${flagged('backward')} backward`,
+    count(holes.length, 'hole'),
+    count(outposts.length, 'outpost'),
+  ].join(', ')
+}
+
+// Moves of the engine's line drawn as arrows
+const ENGINE_ARROW_PLIES = 3
+
+// "+1 move", "+2 moves", ...
+function movesAhead(depth) {
+  return `+${depth - 1} move${depth === 2 ? '' : 's'}`
+}
+
+// Copy of the board with a piece put on `to`, lifting it from `from` (null = new piece)
+function editBoard(board, from, to, piece) {
+  const newBoard = board.map(r => [...r])
+  if (from) newBoard[from[0]][from[1]] = null
+  newBoard[to[0]][to[1]] = piece
+  return newBoard
 }
 
 function App() {
-  const urlState = parseUrlParams()
-  const defaultState = createStartingBoard()
-  const initialState = urlState?.board ? urlState : defaultState
+  // The URL is read once here; afterwards useUrlSync keeps it up to date
+  const [urlState] = useState(() => parseUrlState(window.location.search))
+  const [initialState] = useState(() => urlState.position ?? startPosition())
   
-  const [board, setBoard] = useState(() => initialState.board)
+  const {
+    position,
+    entries: historyEntries,
+    index: historyIndex,
+    canUndo,
+    canRedo,
+    commit: commitPosition,
+    undo,
+    redo,
+    jumpTo,
+  } = usePositionHistory(() => ({
+    board: initialState.board,
+    meta: initialState.meta ?? DEFAULT_POSITION_META,
+  }))
+  const { board, meta: positionMeta } = position
+  const { width: boardWidth, height: boardHeight } = boardSize(board)
   const nextPieceIndex = useRef(initialState.nextIndex)
   
   const [draggedPiece, setDraggedPiece] = useState(null)
-  const [showAttackCounts, setShowAttackCounts] = useState(false)
-  const [distinctMode, setDistinctMode] = useState(initialState?.distinct ?? false)
-  const [coverageDepth, setCoverageDepth] = useState(initialState?.depth || 1)
-  const [selectedOnly, setSelectedOnly] = useState(true)
-  const [selectedPieces, setSelectedPieces] = useState(new Set())
-  const [lowContrast, setLowContrast] = useState(false)
-  const [showWhiteControl, setShowWhiteControl] = useState(true)
-  const [showBlackControl, setShowBlackControl] = useState(true)
-
-  // Calculate attacks with depth support
-  const attacks = coverageDepth > 1 
-    ? calculateAttacksWithDepth(board, coverageDepth)
-    : calculateAllAttacks(board)
-
-  const handleDragStart = useCallback((piece, fromBoard = false, row = null, col = null) => {
-    setDraggedPiece({ ...piece, fromBoard, row, col })
-  }, [])
+  const [showAttackCounts, setShowAttackCounts] = useState(urlState.view.showAttackCounts)
+  const [distinctMode, setDistinctMode] = useState(urlState.view.distinctMode)
+  const [coverageDepth, setCoverageDepth] = useState(urlState.view.coverageDepth)
+  const [selectedOnly, setSelectedOnly] = useState(urlState.view.selectedOnly)
+  const [selectedPieces, setSelectedPieces] = useState(() => selectionFromSquares(initialState.board, urlState.selectedSquares))
+  const [lowContrast, setLowContrast] = useState(urlState.view.lowContrast)
+  // Side shown at the bottom of the board
+  const [orientation, setOrientation] = useState(urlState.view.orientation)
+  // Arrows/circles drawn over the board; kept out of the position history
+  const [annotations, setAnnotations] = useState(urlState.annotations)
+  const [annotationMode, setAnnotationMode] = useState(false)
+  const [showWhiteControl, setShowWhiteControl] = useState(urlState.view.showWhiteControl)
+  const [showBlackControl, setShowBlackControl] = useState(urlState.view.showBlackControl)
+  const [showWhiteKingSafety, setShowWhiteKingSafety] = useState(urlState.view.showWhiteKingSafety)
+  const [showBlackKingSafety, setShowBlackKingSafety] = useState(urlState.view.showBlackKingSafety)
+  const [showXray, setShowXray] = useState(urlState.view.showXray)
+  const [showExchanges, setShowExchanges] = useState(urlState.view.showExchanges)
+  const [showWeakPieces, setShowWeakPieces] = useState(urlState.view.showWeakPieces)
+  const [showCastlingPaths, setShowCastlingPaths] = useState(urlState.view.showCastlingPaths)
+  const [showStats, setShowStats] = useState(urlState.view.showStats)
+  const [showPawnStructure, setShowPawnStructure] = useState(urlState.view.showPawnStructure)
+  const [weakSideFilter, setWeakSideFilter] = useState('all')
+  // Square inspector: the square pinned by a click and the hovered one ([row, col]), and
+  // the piece index of the inspector entry under the pointer
+  const [pinnedSquare, setPinnedSquare] = useState(null)
+  const [hoveredSquare, setHoveredSquare] = useState(null)
+  const [inspectHighlightIdx, setInspectHighlightIdx] = useState(null)
+  // Fairy pieces offered in the palette; grows when pieces are defined through the API
+  const [fairyPieces, setFairyPieces] = useState(getFairyPieces)
+  const { customStarts, saveStart, deleteStart } = useCustomStarts()
+  const [fenInput, setFenInput] = useState('')
+  const [fenError, setFenError] = useState(urlState.error)
+  const [exportError, setExportError] = useState(null)
+
+  const [pgnGames, setPgnGames] = useState([])
+  const [gameIndex, setGameIndex] = useState(0)
+  const [gameReplay, setGameReplay] = useState(null)
+  const [ply, setPly] = useState(0)
+  const [pgnError, setPgnError] = useState(null)
+
+  const currentFen = toFen(board, positionMeta)
+
+  // UCI engine lines for the current position (see useEngine), and the candidate move
+  // whose resulting position is previewed: { fen, uci }. A preview belongs to the
+  // position it was made from, so any change to the board ends it.
+  const [engineMultiPv, setEngineMultiPv] = useState(3)
+  const [engineRunning, setEngineRunning] = useState(true)
+  const engine = useEngine(currentFen, { multiPv: engineMultiPv, running: engineRunning })
+  const [enginePreview, setEnginePreview] = useState(null)
+  const previewUci = enginePreview?.fen === currentFen ? enginePreview.uci : null
+  const previewPosition = useMemo(() => {
+    const move = previewUci && findUciMove(board, positionMeta, previewUci)
+    return move ? makeMove(board, positionMeta, move) : null
+  }, [board, positionMeta, previewUci])
+  const previewLine = previewPosition ? engine.lines.find(line => line.pv[0] === previewUci) : null
+  const evaluation = (previewLine ?? engine.lines[0])?.score ?? null
+
+  // The engine's best line (or the previewed candidate's) as arrows from the current position
+  const engineArrows = useMemo(() => {
+    const pv = previewPosition ? previewLine?.pv ?? [previewUci] : engine.lines[0]?.pv ?? []
+    return replayPv(board, positionMeta, pv.slice(0, ENGINE_ARROW_PLIES)).map(({ from, to }) => ({ from, to }))
+  }, [board, positionMeta, engine.lines, previewPosition, previewLine, previewUci])
+
+  // Attacks (with depth support), exchanges and weak pieces for the current position,
+  // memoized per position; deep coverage is calculated in a worker and shows depth 1
+  // until it is ready
+  const analysisOptions = useMemo(() => ({
+    depth: coverageDepth,
+    xray: showXray,
+    exchanges: showExchanges,
+    weakPieces: showWeakPieces,
+    castling: showCastlingPaths,
+    kingSafety: showWhiteKingSafety || showBlackKingSafety,
+    pawnStructure: showPawnStructure,
+  }), [coverageDepth, showXray, showExchanges, showWeakPieces, showCastlingPaths, showWhiteKingSafety, showBlackKingSafety, showPawnStructure])
+  const { analysis, pending: analysisPending } = useAnalysis(previewPosition ?? position, analysisOptions)
+
+  // The slider reaches the deepest depth that still adds squares for the pieces on the
+  // board (and never cuts off the depth already chosen); the legend stops there too
+  const depthLimit = useMemo(() => coverageDepthLimit(board, positionMeta), [board, positionMeta])
+  const depthLevels = Array.from({ length: Math.max(depthLimit, coverageDepth) }, (_, i) => i + 1)
+
+  // Attackers and defenders of the hovered square, else the pinned one (if it is still on
+  // the board), and the piece and ray of the highlighted entry
+  const [inspectedRow, inspectedCol] = [hoveredSquare, pinnedSquare]
+    .find(square => square && square[0] < boardHeight && square[1] < boardWidth) ?? []
+  const inspection = useMemo(
+    () => inspectedRow === undefined ? null : inspectSquare(analysis, inspectedRow, inspectedCol),
+    [analysis, inspectedRow, inspectedCol]
+  )
+  const inspectedSquare = useMemo(() => inspection && [inspection.row, inspection.col], [inspection])
+  const inspectorPinned = pinnedSquare?.[0] === inspection?.row && pinnedSquare?.[1] === inspection?.col
+  const inspectHighlight = useMemo(() => {
+    const entry = inspection && [...inspection.attackers, ...inspection.defenders].find(e => e.idx === inspectHighlightIdx)
+    return entry ? { from: [entry.row, entry.col], ray: entry.ray } : null
+  }, [inspection, inspectHighlightIdx])
+
+  // Space, mobility and material of the position on the board (or the previewed one)
+  const stats = useMemo(() => {
+    if (!showStats) return null
+    const shown = previewPosition ?? position
+    return calculatePositionStats(shown.board, shown.meta)
+  }, [showStats, previewPosition, position])
+
+  // Legal destinations of the piece being dragged from the board
+  const legalTargets = draggedPiece?.fromBoard && draggedPiece.row !== null
+    ? getPieceLegalMoves(board, positionMeta, draggedPiece.row, draggedPiece.col).map(m => m.to)
+    : null
+
+  // Piece choice for a pawn reaching the back rank: { color, row, col, x, y, choose }
+  const [promotion, setPromotion] = useState(null)
+
+  // Open the promotion picker under a square; choose(type) completes the edit
+  const askPromotion = useCallback((color, row, col, choose) => {
+    const rect = document.querySelector(`[data-square="${squareName(row, col, boardHeight)}"]`)?.getBoundingClientRect()
+    const x = rect ? rect.left + rect.width / 2 : window.innerWidth / 2
+    const y = rect ? rect.bottom : window.innerHeight / 2
+    setPromotion({ color, row, col, height: boardHeight, x, y, choose })
+  }, [boardHeight])
 
   const handleDrop = useCallback((row, col) => {
     if (!draggedPiece) return
+    setDraggedPiece(null)
+    const size = boardSize(board)
 
-    // For new pieces from palette, capture the index before incrementing
-    const isNewPiece = !draggedPiece.fromBoard
-    const newPieceIndex = isNewPiece ? nextPieceIndex.current : null
-    
-    setBoard(prev => {
-      const newBoard = prev.map(r => [...r])
-      
-      if (draggedPiece.fromBoard && draggedPiece.row !== null) {
-        const existingPiece = prev[draggedPiece.row][draggedPiece.col]
-        newBoard[draggedPiece.row][draggedPiece.col] = null
-        newBoard[row][col] = { 
-          type: draggedPiece.type, 
-          color: draggedPiece.color,
-          pieceIndex: existingPiece?.pieceIndex ?? nextPieceIndex.current++
+    // A legal move by the side to move is played as a move (castling, en passant, turn order)
+    if (draggedPiece.fromBoard && draggedPiece.row !== null && draggedPiece.color === positionMeta.turn) {
+      const legalMoves = getPieceLegalMoves(board, positionMeta, draggedPiece.row, draggedPiece.col)
+        .filter(m => m.to[0] === row && m.to[1] === col)
+      if (legalMoves.length) {
+        const movedIndex = board[draggedPiece.row][draggedPiece.col]?.pieceIndex
+        const play = (move) => {
+          commitPosition(`Move ${moveToUci(move, size)}`, makeMove(board, positionMeta, move))
+          if (movedIndex !== undefined) {
+            setSelectedPieces(p => new Set(p).add(movedIndex))
+          }
         }
-        // Auto-select moved piece
-        if (existingPiece?.pieceIndex !== undefined) {
-          setTimeout(() => {
-            setSelectedPieces(p => {
-              const n = new Set(p)
-              n.add(existingPiece.pieceIndex)
-              return n
-            })
-          }, 0)
+        if (legalMoves[0].promotion) {
+          askPromotion(draggedPiece.color, row, col, type => play(legalMoves.find(m => m.promotion === type)))
+        } else {
+          play(legalMoves[0])
         }
+        return
+      }
+    }
+    
+    // Free edit: move or place the piece; a pawn dropped on its last rank is promoted
+    const { type: droppedType, color, fromBoard, row: fromRow, col: fromCol } = draggedPiece
+    const target = squareName(row, col, size.height)
+    const place = (type) => {
+      if (fromBoard && fromRow !== null) {
+        const existingPiece = board[fromRow][fromCol]
+        const pieceIndex = existingPiece?.pieceIndex ?? nextPieceIndex.current++
+        const newBoard = editBoard(board, [fromRow, fromCol], [row, col], { type, color, pieceIndex })
+        commitPosition(
+          `Move ${color} ${droppedType} ${squareName(fromRow, fromCol, size.height)}-${target}${type !== droppedType ? ` =${type}` : ''}`,
+          { board: newBoard }
+        )
+        // Auto-select moved piece
+        setSelectedPieces(p => new Set(p).add(pieceIndex))
       } else {
         const idx = nextPieceIndex.current++
-        newBoard[row][col] = { 
-          type: draggedPiece.type, 
-          color: draggedPiece.color,
-          pieceIndex: idx
-        }
+        const newBoard = editBoard(board, null, [row, col], { type, color, pieceIndex: idx })
+        commitPosition(`Place ${color} ${type} on ${target}`, { board: newBoard })
         // Auto-select new piece
-        setTimeout(() => {
-          setSelectedPieces(p => {
-            const n = new Set(p)
-            n.add(idx)
-            return n
-          })
-        }, 0)
+        setSelectedPieces(p => new Set(p).add(idx))
       }
-      return newBoard
-    })
-    
-    setDraggedPiece(null)
-  }, [draggedPiece])
+    }
+
+    if (droppedType === 'pawn' && isPromotionRow(color, row, size)) {
+      askPromotion(color, row, col, place)
+    } else {
+      place(droppedType)
+    }
+  }, [draggedPiece, board, positionMeta, commitPosition, askPromotion])
+
+  const handlePromotionSelect = useCallback((type) => {
+    promotion?.choose(type)
+    setPromotion(null)
+  }, [promotion])
+
+  const cancelPromotion = useCallback(() => setPromotion(null), [])
+
+  // Side to move, castling rights and en passant square (the position panel)
+  const handleTurnChange = useCallback((turn) => {
+    // An en passant square only fits one side to move
+    commitPosition(`${turn === 'white' ? 'White' : 'Black'} to move`, prev =>
+      prev.meta.turn === turn ? prev : { ...prev, meta: { ...prev.meta, turn, enPassant: null } })
+  }, [commitPosition])
+
+  const handleCastlingChange = useCallback((castling) => {
+    commitPosition(`Castling rights ${castling || '-'}`, prev =>
+      prev.meta.castling === castling ? prev : { ...prev, meta: { ...prev.meta, castling } })
+  }, [commitPosition])
+
+  const handleEnPassantChange = useCallback((enPassant) => {
+    commitPosition(`En passant ${enPassant ?? '-'}`, prev =>
+      prev.meta.enPassant === enPassant ? prev : { ...prev, meta: { ...prev.meta, enPassant } })
+  }, [commitPosition])
 
   const handleDragEnd = useCallback(() => {
     setDraggedPiece(null)
   }, [])
 
   const handleRemovePiece = useCallback((row, col) => {
-    setBoard(prev => {
-      const newBoard = prev.map(r => [...r])
+    commitPosition(`Remove piece from ${squareName(row, col, boardHeight)}`, prev => {
+      if (!prev.board[row][col]) return prev
+      const newBoard = prev.board.map(r => [...r])
       newBoard[row][col] = null
-      return newBoard
+      return { ...prev, board: newBoard }
     })
-  }, [])
+  }, [commitPosition, boardHeight])
 
   const handleClearBoard = useCallback(() => {
-    setBoard(Array(8).fill(null).map(() => Array(8).fill(null)))
+    commitPosition('Clear board', { board: createEmptyBoard({ width: boardWidth, height: boardHeight }) })
     nextPieceIndex.current = 0
     setSelectedPieces(new Set())
+  }, [commitPosition, boardWidth, boardHeight])
+
+  // Resize the board ("10x8"), keeping every piece that still fits on its square.
+  // Castling rights and the en passant square are re-checked for the new size.
+  const changeBoardSize = useCallback((sizeText) => {
+    const size = parseBoardSize(sizeText)
+    commitPosition(`Board size ${boardSizeId(size)}`, prev => {
+      const { width, height } = boardSize(prev.board)
+      if (width === size.width && height === size.height) return prev
+      const newBoard = resizeBoard(prev.board, size)
+      return {
+        board: newBoard,
+        meta: { ...prev.meta, castling: validCastling(newBoard, prev.meta.castling), enPassant: null },
+      }
+    })
+  }, [commitPosition])
+
+  const handleAnnotate = useCallback((shape) => {
+    setAnnotations(prev => toggleAnnotation(prev, shape))
+  }, [])
+
+  // A click pins the inspector to a square, a second click on it unpins
+  const handleInspectSquare = useCallback((row, col) => {
+    setPinnedSquare(prev => prev?.[0] === row && prev?.[1] === col ? null : [row, col])
+  }, [])
+
+  const handleHoverSquare = useCallback((row, col) => {
+    setHoveredSquare(prev => {
+      if (row === null) return null
+      return prev?.[0] === row && prev?.[1] === col ? prev : [row, col]
+    })
   }, [])
 
   const handleToggleSelection = useCallback((pieceIndex) => {
@@ -189,83 +373,417 @@ function App() {
     })
   }, [])
 
-  const handleSetupBoard = useCallback(() => {
-    const newBoard = Array(8).fill(null).map(() => Array(8).fill(null))
-    let idx = 0
-    
-    // Black pieces (rank 8 = row 0)
-    const backRow = ['rook', 'knight', 'bishop', 'queen', 'king', 'bishop', 'knight', 'rook']
-    for (let col = 0; col < 8; col++) {
-      newBoard[0][col] = { type: backRow[col], color: 'black', pieceIndex: idx++ }
+  // Set up a start position by id ("classical", "random", "960-<n>", "custom:<name>");
+  // returns the id set up, with "random" resolved to its Chess960 number
+  const setupPosition = useCallback((id) => {
+    const { id: resolved, label, position: start } = resolveStart(id, {
+      size: { width: boardWidth, height: boardHeight },
+      customStarts,
+    })
+    nextPieceIndex.current = start.nextIndex
+    commitPosition(`Setup board: ${label}`, { board: start.board, meta: start.meta })
+    return resolved
+  }, [commitPosition, boardWidth, boardHeight, customStarts])
+
+  const handleSetupBoard = useCallback(() => setupPosition('classical'), [setupPosition])
+
+  const saveCurrentStart = useCallback((name) => saveStart(name, currentFen), [saveStart, currentFen])
+
+  const { connect: connectEngine, disconnect: engineDisconnect } = engine
+  const disconnectEngine = useCallback(() => {
+    engineDisconnect()
+    setEnginePreview(null)
+  }, [engineDisconnect])
+
+  // Preview the position after a legal move in UCI form, or return with null
+  const previewEngineMove = useCallback((uci) => {
+    if (uci === null) {
+      setEnginePreview(null)
+      return
     }
-    // Black pawns (rank 7 = row 1)
-    for (let col = 0; col < 8; col++) {
-      newBoard[1][col] = { type: 'pawn', color: 'black', pieceIndex: idx++ }
+    if (!findUciMove(board, positionMeta, uci)) {
+      throw new Error(`Invalid move "${uci}": not a legal move in UCI form for the side to move`)
     }
-    // White pawns (rank 2 = row 6)
-    for (let col = 0; col < 8; col++) {
-      newBoard[6][col] = { type: 'pawn', color: 'white', pieceIndex: idx++ }
+    setEnginePreview({ fen: currentFen, uci: uci.toLowerCase() })
+  }, [board, positionMeta, currentFen])
+
+  // Load a parsed FEN position; throws on invalid input so callers can report it
+  const loadFen = useCallback((fen) => {
+    const { board: newBoard, nextIndex, meta } = parseFen(fen)
+    nextPieceIndex.current = nextIndex
+    commitPosition('Load FEN', { board: newBoard, meta })
+    setSelectedPieces(new Set())
+    setFenError(null)
+  }, [commitPosition])
+
+  const handleLoadFen = useCallback(() => {
+    try {
+      loadFen(fenInput)
+      setFenInput('')
+    } catch (err) {
+      setFenError(err.message)
     }
-    // White pieces (rank 1 = row 7)
-    for (let col = 0; col < 8; col++) {
-      newBoard[7][col] = { type: backRow[col], color: 'white', pieceIndex: idx++ }
+  }, [fenInput, loadFen])
+
+  const handleCopyFen = useCallback(() => {
+    navigator.clipboard?.writeText(currentFen)
+  }, [currentFen])
+
+  // Restore the whole view from a query string (browser back/forward)
+  const applyUrlState = useCallback((search) => {
+    const { position: urlPosition, error, view, selectedSquares, annotations: urlAnnotations } = parseUrlState(search)
+    const next = urlPosition ?? startPosition()
+    const nextMeta = next.meta ?? DEFAULT_POSITION_META
+    commitPosition('Back/forward', prev => {
+      const same = toFen(prev.board, prev.meta) === toFen(next.board, nextMeta) &&
+        prev.board.flat().every((p, i) => p?.pieceIndex === next.board.flat()[i]?.pieceIndex)
+      return same ? prev : { board: next.board, meta: nextMeta }
+    })
+    nextPieceIndex.current = Math.max(nextPieceIndex.current, next.nextIndex)
+    setSelectedPieces(selectionFromSquares(next.board, selectedSquares))
+    setDistinctMode(view.distinctMode)
+    setCoverageDepth(view.coverageDepth)
+    setOrientation(view.orientation)
+    setShowAttackCounts(view.showAttackCounts)
+    setLowContrast(view.lowContrast)
+    setShowWhiteControl(view.showWhiteControl)
+    setShowBlackControl(view.showBlackControl)
+    setShowWhiteKingSafety(view.showWhiteKingSafety)
+    setShowBlackKingSafety(view.showBlackKingSafety)
+    setSelectedOnly(view.selectedOnly)
+    setShowXray(view.showXray)
+    setShowExchanges(view.showExchanges)
+    setShowWeakPieces(view.showWeakPieces)
+    setShowCastlingPaths(view.showCastlingPaths)
+    setShowStats(view.showStats)
+    setShowPawnStructure(view.showPawnStructure)
+    setAnnotations(urlAnnotations)
+    setFenError(error)
+  }, [commitPosition])
+
+  // Address bar mirrors the full view, so any link reopens exactly this view.
+  // A new position gets its own browser history entry (stepping through a game
+  // counts as one); toggles just rewrite the current one.
+  const urlSearch = buildUrlSearch({
+    board,
+    meta: positionMeta,
+    view: {
+      distinctMode,
+      coverageDepth,
+      orientation,
+      showAttackCounts,
+      lowContrast,
+      showWhiteControl,
+      showBlackControl,
+      selectedOnly,
+      showXray,
+      showExchanges,
+      showWeakPieces,
+      showCastlingPaths,
+      showStats,
+      showPawnStructure,
+      showWhiteKingSafety,
+      showBlackKingSafety,
+    },
+    selectedPieces,
+    annotations,
+  })
+  useUrlSync(urlSearch, historyEntries[historyIndex].coalesce ?? currentFen, applyUrlState)
+
+  // Board image with the current display toggles (Promise of an SVG or PNG Blob), of the
+  // position the board shows (an engine candidate while one is previewed).
+  // Exports always use the full-depth analysis, even while the worker is busy
+  const exportImage = useCallback((options = {}) => exportBoardImage(getAnalysis(previewPosition ?? position, analysisOptions), {
+    orientation,
+    lowContrast,
+    showAttackCounts,
+    distinctMode,
+    selectedOnly,
+    selectedPieces,
+    showWhiteControl,
+    showBlackControl,
+    ...options,
+  }), [previewPosition, position, analysisOptions, orientation, lowContrast, showAttackCounts, distinctMode, selectedOnly, selectedPieces, showWhiteControl, showBlackControl])
+
+  const handleExportImage = useCallback(async (format) => {
+    try {
+      const blob = await exportImage({ format })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `chess-board.${format}`
+      link.click()
+      // Revoking right away can cancel the download in some browsers
+      setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS)
+      setExportError(null)
+    } catch (err) {
+      setExportError(err.message)
     }
-    
-    nextPieceIndex.current = idx
-    setBoard(newBoard)
+  }, [exportImage])
+
+  // Show the position after the given ply of the loaded game
+  const showPly = useCallback((replay, n) => {
+    const target = Math.max(0, Math.min(n, replay.positions.length - 1))
+    const { board: plyBoard, meta } = replay.positions[target]
+    const maxIndex = Math.max(-1, ...replay.positions[0].board.flat().map(p => p?.pieceIndex ?? -1))
+    nextPieceIndex.current = maxIndex + 1
+    const san = replay.positions[target].san
+    commitPosition(san ? `Game: ${target}. ${san}` : 'Game: start', { board: plyBoard, meta }, { coalesce: 'game' })
+    setPly(target)
+  }, [commitPosition])
+
+  const selectGame = useCallback((games, index) => {
+    const replay = replayGame(games[index])
+    setGameIndex(index)
+    setGameReplay(replay)
+    setPgnError(replay.error)
+    showPly(replay, 0)
+  }, [showPly])
+
+  // Returns true if the PGN was loaded so the panel can clear its input
+  const handleLoadPgn = useCallback((text) => {
+    try {
+      const games = parsePgn(text)
+      setPgnGames(games)
+      setSelectedPieces(new Set())
+      selectGame(games, 0)
+      return true
+    } catch (err) {
+      setPgnError(err.message)
+      return false
+    }
+  }, [selectGame])
+
+  // A later game can still have a bad [FEN] tag; report it like a bad PGN
+  const handleSelectGame = useCallback((index) => {
+    try {
+      selectGame(pgnGames, index)
+    } catch (err) {
+      setPgnError(err.message)
+    }
+  }, [pgnGames, selectGame])
+
+  const handleGoToPly = useCallback((n) => {
+    if (gameReplay) showPly(gameReplay, n)
+  }, [gameReplay, showPly])
+
+  const handleCloseGame = useCallback(() => {
+    setPgnGames([])
+    setGameReplay(null)
+    setPly(0)
+    setPgnError(null)
   }, [])
 
+  // Keep new piece indices unique after undo/redo brings older pieces back
+  useEffect(() => {
+    const maxIndex = Math.max(-1, ...board.flat().map(p => p?.pieceIndex ?? -1))
+    nextPieceIndex.current = Math.max(nextPieceIndex.current, maxIndex + 1)
+  }, [board])
+
+  // Undo/redo shortcuts: Ctrl+Z, Ctrl+Shift+Z (or Ctrl+Y)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return
+      if (!(e.ctrlKey || e.metaKey)) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        undo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        redo()
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [undo, redo])
+
+  // Arrow-key navigation through the loaded game
+  useEffect(() => {
+    if (!gameReplay) return
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return
+      const keyTargets = {
+        ArrowLeft: ply - 1,
+        ArrowRight: ply + 1,
+        Home: 0,
+        End: gameReplay.positions.length - 1,
+      }
+      if (!(e.key in keyTargets)) return
+      e.preventDefault()
+      showPly(gameReplay, keyTargets[e.key])
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [gameReplay, ply, showPly])
+
   // Expose global API
   useEffect(() => {
-    const pieceMap = { k: 'king', q: 'queen', r: 'rook', b: 'bishop', n: 'knight', p: 'pawn' }
-    const files = { a: 0, b: 1, c: 2, d: 3, e: 4, f: 5, g: 6, h: 7 }
-    
     window.ChessViz = {
       setPieces: (piecesStr) => {
-        const newBoard = Array(8).fill(null).map(() => Array(8).fill(null))
-        let idx = 0
-        piecesStr.split(',').forEach(piece => {
-          piece = piece.trim()
-          if (piece.length < 3) return
-          const pieceLetter = piece[0]
-          const file = piece[1].toLowerCase()
-          const rank = piece[2]
-          const type = pieceMap[pieceLetter.toLowerCase()]
-          const color = pieceLetter === pieceLetter.toUpperCase() ? 'white' : 'black'
-          const col = files[file]
-          const row = 8 - parseInt(rank)
-          if (type && col !== undefined && row >= 0 && row < 8) {
-            newBoard[row][col] = { type, color, pieceIndex: idx++ }
-          }
-        })
-        nextPieceIndex.current = idx
-        setBoard(newBoard)
+        const { board: newBoard, nextIndex } = parsePieceList(piecesStr, boardSize(board))
+        nextPieceIndex.current = nextIndex
+        commitPosition('API: setPieces', { board: newBoard })
+      },
+      setFen: (fen) => loadFen(fen),
+      getFen: () => currentFen,
+      // Legal moves as UCI strings, for one square or for the whole side to move
+      getLegalMoves: (square) => {
+        const size = boardSize(board)
+        const coords = square ? parseSquare(square, size) : null
+        if (square && !coords) throw new Error(`Invalid square "${square}"`)
+        const moves = coords
+          ? getPieceLegalMoves(board, positionMeta, coords[0], coords[1])
+          : getLegalMoves(board, positionMeta)
+        return moves.map(move => moveToUci(move, size))
+      },
+      // Play a move given in UCI ("e2e4") or SAN ("Nf3") for the side to move
+      makeMove: (moveStr) => {
+        const move = findUciMove(board, positionMeta, moveStr) ?? findSanMove(board, positionMeta, moveStr)
+        const next = makeMove(board, positionMeta, move)
+        const uci = moveToUci(move, boardSize(board))
+        commitPosition(`API: move ${uci}`, next)
+        return uci
       },
+      // Piece by FEN letter ("N") or type name ("knight", "archbishop")
       addPiece: (type, square, color = 'white') => {
-        const typeMap = { K: 'king', Q: 'queen', R: 'rook', B: 'bishop', N: 'knight', P: 'pawn' }
-        const col = files[square[0].toLowerCase()]
-        const row = 8 - parseInt(square[1])
-        if (col !== undefined && row >= 0 && row < 8) {
-          setBoard(prev => {
-            const newBoard = prev.map(r => [...r])
-            newBoard[row][col] = { 
-              type: typeMap[type.toUpperCase()] || type.toLowerCase(), 
-              color,
-              pieceIndex: nextPieceIndex.current++
-            }
-            return newBoard
-          })
+        const coords = parseSquare(square, boardSize(board))
+        if (!coords) throw new Error(`Invalid square "${square}"`)
+        const pieceType = pieceTypeForLetter(type)
+          ?? (typeof type === 'string' && getPieceDefinition(type.toLowerCase()) ? type.toLowerCase() : null)
+        if (!pieceType) throw new Error(`Invalid piece "${type}": expected a piece letter or type name`)
+        if (color !== 'white' && color !== 'black') {
+          throw new Error(`Invalid color "${color}": expected "white" or "black"`)
         }
+        const [row, col] = coords
+        const pieceIndex = nextPieceIndex.current++
+        commitPosition(`API: addPiece ${square}`, prev => {
+          const newBoard = prev.board.map(r => [...r])
+          newBoard[row][col] = { type: pieceType, color, pieceIndex }
+          return { ...prev, board: newBoard }
+        })
       },
       clearBoard: () => {
-        setBoard(Array(8).fill(null).map(() => Array(8).fill(null)))
+        commitPosition('API: clearBoard', { board: createEmptyBoard(boardSize(board)) })
         nextPieceIndex.current = 0
       },
+      // Board size as files x ranks ("10x8"); resizing keeps the pieces that still fit
+      setBoardSize: (size) => changeBoardSize(size),
+      getBoardSize: () => boardSizeId(boardSize(board)),
+      // Start position by id: "classical", "random", "960-<n>" (or n) or "custom:<name>"
+      setupPosition: (id) => setupPosition(id),
+      // Save the current position as a custom start; returns its "custom:<name>" id
+      saveStartPosition: (name) => saveCurrentStart(name),
+      undo: () => undo(),
+      redo: () => redo(),
       getBoard: () => board,
       setDistinctMode: (v) => setDistinctMode(v),
-      setCoverageDepth: (v) => setCoverageDepth(v),
+      // Depths past what the position can use are cut back to its limit
+      setCoverageDepth: (depth) => {
+        if (!Number.isInteger(depth) || depth < 1) {
+          throw new Error(`Invalid coverage depth "${depth}": expected a whole number of 1 or more`)
+        }
+        setCoverageDepth(Math.min(depth, depthLimit))
+      },
+      setOrientation: (side) => {
+        if (side !== 'white' && side !== 'black') {
+          throw new Error(`Invalid orientation "${side}": expected "white" or "black"`)
+        }
+        setOrientation(side)
+      },
+      getOrientation: () => orientation,
+      setTurn: (color) => {
+        if (color !== 'white' && color !== 'black') {
+          throw new Error(`Invalid side to move "${color}": expected "white" or "black"`)
+        }
+        handleTurnChange(color)
+      },
+      // Castling rights in FEN form ("KQkq", "Kq", "" or "-")
+      setCastling: (rights) => {
+        if (typeof rights !== 'string' || !/^(-|K?Q?k?q?)$/.test(rights)) {
+          throw new Error(`Invalid castling rights "${rights}": expected FEN form like "KQkq", "Kq" or "-"`)
+        }
+        const valid = validCastling(board, rights === '-' ? '' : rights)
+        if (rights !== '-' && valid !== rights) {
+          throw new Error(`Invalid castling rights "${rights}": king and rook must be on their home squares`)
+        }
+        handleCastlingChange(valid)
+      },
+      // En passant target square ("e3") or null
+      setEnPassant: (square) => {
+        const target = square ? String(square).toLowerCase() : null
+        if (target && !getEnPassantTargets(board, positionMeta.turn).includes(target)) {
+          throw new Error(`Invalid en passant square "${square}": no pawn could just have made a double step over it`)
+        }
+        handleEnPassantChange(target)
+      },
+      // Annotations as { arrows: [{ from, to, color }], circles: [{ square, color }] },
+      // or the compact URL form "Ge2e4,Rd5"
+      getAnnotations: () => annotations,
+      setAnnotations: (value) => {
+        setAnnotations(typeof value === 'string' ? parseAnnotations(value) : normalizeAnnotations(value))
+      },
+      addArrow: (from, to, color = 'green') => {
+        const { arrows: [arrow] } = normalizeAnnotations({ arrows: [{ from, to, color }] })
+        setAnnotations(prev => ({
+          ...prev,
+          arrows: [...prev.arrows.filter(a => a.from !== arrow.from || a.to !== arrow.to), arrow],
+        }))
+      },
+      addCircle: (square, color = 'green') => {
+        const { circles: [circle] } = normalizeAnnotations({ circles: [{ square, color }] })
+        setAnnotations(prev => ({
+          ...prev,
+          circles: [...prev.circles.filter(c => c.square !== circle.square), circle],
+        }))
+      },
+      clearAnnotations: () => setAnnotations(EMPTY_ANNOTATIONS),
+      // Promise of an image Blob: { format: 'svg' | 'png', size: pixels }
+      exportImage: (options) => exportImage(options),
+      // Immutable analysis of the current position; options default to the current toggles
+      analyze: (options = {}) => getAnalysis(position, { ...analysisOptions, ...options }),
+      // Add or replace a fairy piece: { type, letter, betza | movement, name?, symbol?, value? }
+      definePiece: (definition) => {
+        const defined = definePiece(definition)
+        setFairyPieces(getFairyPieces())
+        return defined
+      },
+      getFairyPieces: () => fairyPieces,
+      // Space, center control, mobility and material per side, as plain JSON-ready data
+      getStats: () => calculatePositionStats(board, positionMeta),
+      // Pin the square inspector to a square ("e4", null to unpin) and return its
+      // attackers and defenders
+      inspectSquare: (square) => {
+        if (square === null) {
+          setPinnedSquare(null)
+          return null
+        }
+        const coords = parseSquare(square, boardSize(board))
+        if (!coords) throw new Error(`Invalid square "${square}"`)
+        setPinnedSquare(coords)
+        return inspectSquare(getAnalysis(position, analysisOptions), coords[0], coords[1])
+      },
+      // UCI engine: a bridge URL (see bin/uci-bridge.js) or "scripted" for the stand-in
+      connectEngine: (target = DEFAULT_BRIDGE_URL) => connectEngine(target),
+      disconnectEngine: () => disconnectEngine(),
+      // Candidate lines for the current position, best first; scores are white's view
+      getEngineLines: () => engine.lines.map(({ multipv, depth, score, pv }) => ({
+        multipv,
+        depth,
+        score,
+        scoreText: formatScore(score),
+        pv,
+      })),
+      setEngineLines: (count) => {
+        if (!Number.isInteger(count) || count < 1 || count > MAX_MULTI_PV) {
+          throw new Error(`Invalid engine line count "${count}": expected 1 to ${MAX_MULTI_PV}`)
+        }
+        setEngineMultiPv(count)
+      },
+      // Show the attack maps after a candidate move ("e2e4"); null returns to the position
+      previewEngineMove: (uci) => previewEngineMove(uci),
     }
-  }, [board])
+  }, [position, board, positionMeta, currentFen, orientation, annotations, analysisOptions, exportImage, loadFen, commitPosition, undo, redo, handleTurnChange, handleCastlingChange, handleEnPassantChange, changeBoardSize, setupPosition, saveCurrentStart, fairyPieces, engine.lines, connectEngine, disconnectEngine, previewEngineMove, depthLimit])
 
   const handleDropOutside = useCallback(() => {
     if (draggedPiece?.fromBoard && draggedPiece.row !== null) {
@@ -274,8 +792,29 @@ function App() {
     setDraggedPiece(null)
   }, [draggedPiece, handleRemovePiece])
 
+  // Touch long-press menu for a board piece: { piece, row, col, x, y }
+  const [pieceMenu, setPieceMenu] = useState(null)
+  const closePieceMenu = useCallback(() => setPieceMenu(null), [])
+
+  const { beginDrag, isDragging, dropTarget, ghostRef } = usePointerDrag({
+    onDragStart: setDraggedPiece,
+    onDrop: handleDrop,
+    onDropOutside: handleDropOutside,
+    onCancel: handleDragEnd,
+    onLongPress: (payload, { x, y }) => {
+      if (!payload.fromBoard) return
+      const piece = board[payload.row][payload.col]
+      if (piece) setPieceMenu({ piece, row: payload.row, col: payload.col, x, y })
+    },
+  })
+
+  // Palette pieces pass no square; board pieces pass the square they start from
+  const handlePiecePointerDown = useCallback((e, piece, row = null, col = null) => {
+    beginDrag(e, { type: piece.type, color: piece.color, fromBoard: row !== null, row, col })
+  }, [beginDrag])
+
   return (
-    <div className="app" onDragOver={e => e.preventDefault()} onDrop={handleDropOutside}>
+    <div className="app">
       <header className="header">
         <h1>♟️ Chess Attack Visualizer</h1>
         <p>Drag pieces onto the board to see their attack patterns</p>
@@ -283,40 +822,99 @@ function App() {
       
       <main className="main-content">
         <PiecePalette 
-          onDragStart={handleDragStart}
-          onDragEnd={handleDragEnd}
+          fairyPieces={fairyPieces}
+          onPiecePointerDown={handlePiecePointerDown}
           showBlackControl={showBlackControl}
           setShowBlackControl={setShowBlackControl}
           showWhiteControl={showWhiteControl}
           setShowWhiteControl={setShowWhiteControl}
+          showBlackKingSafety={showBlackKingSafety}
+          setShowBlackKingSafety={setShowBlackKingSafety}
+          showWhiteKingSafety={showWhiteKingSafety}
+          setShowWhiteKingSafety={setShowWhiteKingSafety}
         />
         
         <div className="board-container">
+          {previewPosition && (
+            <div className="engine-preview-banner">
+              <span>Previewing <strong>{previewUci}</strong>: attacks after the move</span>
+              <button onClick={() => setEnginePreview(null)}>Back</button>
+            </div>
+          )}
+
           <ChessBoard 
-            board={board}
-            attacks={attacks}
+            analysis={analysis}
             showAttackCounts={showAttackCounts}
             distinctMode={distinctMode}
-            coverageDepth={coverageDepth}
             selectedOnly={selectedOnly}
             selectedPieces={selectedPieces}
             lowContrast={lowContrast}
+            orientation={orientation}
+            annotations={annotations}
+            annotationMode={annotationMode}
+            onAnnotate={handleAnnotate}
             showWhiteControl={showWhiteControl}
             showBlackControl={showBlackControl}
-            onDragStart={handleDragStart}
-            onDrop={handleDrop}
-            onDragEnd={handleDragEnd}
-            onRemovePiece={handleRemovePiece}
+            showWhiteKingSafety={showWhiteKingSafety}
+            showBlackKingSafety={showBlackKingSafety}
+            onPiecePointerDown={previewPosition ? undefined : handlePiecePointerDown}
+            dropTarget={isDragging ? dropTarget : null}
+            onRemovePiece={previewPosition ? undefined : handleRemovePiece}
             onToggleSelection={handleToggleSelection}
+            legalTargets={legalTargets}
+            weakSide={weakSideFilter}
+            engineArrows={engineArrows}
+            evaluation={evaluation}
+            inspectedSquare={inspectedSquare}
+            inspectHighlight={inspectHighlight}
+            onInspectSquare={handleInspectSquare}
+            onHoverSquare={handleHoverSquare}
           />
           
           <div className="controls">
+            <div className="history-buttons">
+              <button className="history-btn" onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+                ↶ Undo
+              </button>
+              <button className="history-btn" onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+                ↷ Redo
+              </button>
+            </div>
             <button className="setup-btn" onClick={handleSetupBoard}>
               ♟️ Setup Board
             </button>
             <button className="clear-btn" onClick={handleClearBoard}>
               🗑️ Clear Board
             </button>
+            <button
+              className="flip-btn"
+              onClick={() => setOrientation(o => o === 'white' ? 'black' : 'white')}
+              title={`Show ${orientation === 'white' ? 'black' : 'white'} at the bottom`}
+            >
+              ⇅ Flip Board
+            </button>
+            <div className="annotation-buttons">
+              <button
+                className={`annotate-btn ${annotationMode ? 'active' : ''}`}
+                onClick={() => setAnnotationMode(m => !m)}
+                title="Draw arrows and circles (or Alt + right-drag). Shift = red, Ctrl = blue, Shift+Ctrl = yellow"
+              >
+                ✏️ Annotate
+              </button>
+              <button
+                className="annotate-btn"
+                onClick={() => setAnnotations(EMPTY_ANNOTATIONS)}
+                disabled={!annotations.arrows.length && !annotations.circles.length}
+              >
+                Clear Annotations
+              </button>
+            </div>
+            <div className="export-buttons" title="Export the board and heat map as an image">
+              <span>Export image:</span>
+              <button className="export-btn" onClick={() => handleExportImage('svg')}>SVG</button>
+              <button className="export-btn" onClick={() => handleExportImage('png')}>PNG</button>
+            </div>
+            {exportError && <div className="export-error">{exportError}</div>}
             <label className="toggle-label">
               <input 
                 type="checkbox" 
@@ -349,29 +947,87 @@ function App() {
               />
               Low contrast board
             </label>
+            <label className="toggle-label" title="Attacks through one blocking piece">
+              <input 
+                type="checkbox" 
+                checked={showXray}
+                onChange={e => setShowXray(e.target.checked)}
+              />
+              Show x-rays
+            </label>
+            <label className="toggle-label" title="Static exchange evaluation: who wins the capture sequence">
+              <input 
+                type="checkbox" 
+                checked={showExchanges}
+                onChange={e => setShowExchanges(e.target.checked)}
+              />
+              Show exchanges
+            </label>
+            <label className="toggle-label" title="Highlight hanging and under-defended pieces">
+              <input 
+                type="checkbox" 
+                checked={showWeakPieces}
+                onChange={e => setShowWeakPieces(e.target.checked)}
+              />
+              Show weak pieces
+            </label>
+            <label className="toggle-label" title="Passed, isolated, doubled and backward pawns, pawn islands, holes and outposts">
+              <input 
+                type="checkbox" 
+                checked={showPawnStructure}
+                onChange={e => setShowPawnStructure(e.target.checked)}
+              />
+              Show pawn structure
+            </label>
+            <label className="toggle-label" title="Space, center control, mobility and material per side">
+              <input 
+                type="checkbox" 
+                checked={showStats}
+                onChange={e => setShowStats(e.target.checked)}
+              />
+              Show statistics
+            </label>
+          </div>
+
+          <div className="fen-control">
+            <div className="fen-input-row">
+              <input
+                type="text"
+                className="fen-input"
+                placeholder="Paste FEN and press Enter"
+                value={fenInput}
+                onChange={e => setFenInput(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && handleLoadFen()}
+              />
+              <button className="fen-btn" onClick={handleLoadFen} disabled={!fenInput.trim()}>
+                Load FEN
+              </button>
+              <button className="fen-btn" onClick={handleCopyFen}>
+                Copy FEN
+              </button>
+            </div>
+            <code className="fen-current" title="Current position">{currentFen}</code>
+            {fenError && <div className="fen-error">{fenError}</div>}
           </div>
           
           <div className="depth-control">
             <label className="slider-label">
               Coverage Depth: <strong>{coverageDepth}</strong>
               <span className="depth-hint">
-                {coverageDepth === 1 && '(current positions)'}
-                {coverageDepth === 2 && '(+ 1 move ahead)'}
-                {coverageDepth === 3 && '(+ 2 moves ahead)'}
+                {coverageDepth === 1 ? '(current positions)' : `(${movesAhead(coverageDepth)} ahead)`}
+                {analysisPending && <span className="depth-pending"> calculating…</span>}
               </span>
             </label>
             <input 
               type="range" 
               min="1" 
-              max="3" 
+              max={depthLevels.length}
               value={coverageDepth}
               onChange={e => setCoverageDepth(parseInt(e.target.value))}
               className="depth-slider"
             />
             <div className="slider-labels">
-              <span>1</span>
-              <span>2</span>
-              <span>3</span>
+              {depthLevels.map(depth => <span key={depth}>{depth}</span>)}
             </div>
           </div>
         </div>
@@ -410,24 +1066,198 @@ function App() {
                 <span className="depth-demo solid"></span>
                 <span>Current</span>
               </div>
+              {depthLevels.slice(1, Math.min(coverageDepth, depthLimit)).map(depth => (
+                <div key={depth} className="legend-item">
+                  <span
+                    className={`depth-demo ${depth === 2 ? 'dashed' : 'dotted'}`}
+                    style={getDepthOverlayStyle(depth, 1, false)}
+                  ></span>
+                  <span>{movesAhead(depth)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {showXray && (
+            <div className="legend-section">
+              <p>X-rays (top-left rings):</p>
               <div className="legend-item">
-                <span className="depth-demo dashed"></span>
-                <span>+1 move</span>
+                <span className="xray-demo own"></span>
+                <span>Through own piece (battery)</span>
               </div>
-              {coverageDepth > 2 && (
-                <div className="legend-item">
-                  <span className="depth-demo dotted"></span>
-                  <span>+2 moves</span>
-                </div>
-              )}
+              <div className="legend-item">
+                <span className="xray-demo enemy"></span>
+                <span>Through enemy piece</span>
+              </div>
+            </div>
+          )}
+          {showExchanges && (
+            <div className="legend-section">
+              <p>Exchanges (bottom-right):</p>
+              <div className="legend-item">
+                <span className="exchange-demo win">+2</span>
+                <span>Capturing side wins material</span>
+              </div>
+              <div className="legend-item">
+                <span className="exchange-demo even">=</span>
+                <span>Even trade</span>
+              </div>
+              <div className="legend-item">
+                <span className="exchange-demo lose">-3</span>
+                <span>Capture loses material</span>
+              </div>
+            </div>
+          )}
+          {(showWhiteKingSafety || showBlackKingSafety) && (
+            <div className="legend-section">
+              <p>King safety (dashed zone, label ⚔ attackers · weight):</p>
+              <div className="legend-item">
+                <span className="flight-demo safe"></span>
+                <span>Safe flight square</span>
+              </div>
+              <div className="legend-item">
+                <span className="flight-demo attacked"></span>
+                <span>Attacked flight square</span>
+              </div>
+              <div className="legend-item">
+                <span className="flight-demo blocked"></span>
+                <span>Blocked by own piece</span>
+              </div>
+              {analysis.kingSafety
+                .filter(king => king.color === 'white' ? showWhiteKingSafety : showBlackKingSafety)
+                .map(king => (
+                  <p key={`${king.row}-${king.col}`} className={`king-summary ${king.check ? 'check' : ''}`}>
+                    {describeKingSafety(king, boardHeight)}
+                  </p>
+                ))}
+            </div>
+          )}
+          {analysis.pawnStructure && (
+            <div className="legend-section">
+              <p>Pawn structure (P passed, I isolated, D doubled, B backward):</p>
+              <div className="legend-item">
+                <span className="pawn-demo hole white"></span>
+                <span className="pawn-demo hole black"></span>
+                <span>Hole: no own pawn can ever attack it</span>
+              </div>
+              <div className="legend-item">
+                <span className="pawn-demo outpost white"></span>
+                <span className="pawn-demo outpost black"></span>
+                <span>Outpost: pawn-supported, safe from enemy pawns</span>
+              </div>
+              {['white', 'black'].map(color => (
+                <p key={color} className="pawn-summary">
+                  {describePawnStructure(color, analysis.pawnStructure[color])}
+                </p>
+              ))}
             </div>
           )}
           <div className="instructions">
             <p><strong>Drag</strong> pieces from palette to board</p>
             <p><strong>Right-click</strong> or drag off to remove</p>
+            <p><strong>Long-press</strong> a piece (touch) to select or remove it</p>
+            <p><strong>Alt + right-drag</strong> draws arrows, click circles a square</p>
+            <p><strong>Hover</strong> a square to inspect it, <strong>click</strong> to pin</p>
           </div>
         </div>
+
+        <div className="side-panels">
+          <SquareInspector
+            inspection={inspection}
+            pinned={inspectorPinned}
+            highlighted={inspectHighlightIdx}
+            onHighlight={setInspectHighlightIdx}
+            onClose={() => setPinnedSquare(null)}
+          />
+
+          <GamePanel
+            gameLabels={pgnGames.map(describeGame)}
+            gameIndex={gameIndex}
+            positions={gameReplay?.positions ?? null}
+            ply={ply}
+            error={pgnError}
+            onLoadPgn={handleLoadPgn}
+            onSelectGame={handleSelectGame}
+            onGoToPly={handleGoToPly}
+            onClose={handleCloseGame}
+          />
+
+          <PositionPanel
+            board={board}
+            meta={positionMeta}
+            onBoardSizeChange={changeBoardSize}
+            showCastlingPaths={showCastlingPaths}
+            onShowCastlingPathsChange={setShowCastlingPaths}
+            onTurnChange={handleTurnChange}
+            onCastlingChange={handleCastlingChange}
+            onEnPassantChange={handleEnPassantChange}
+          />
+
+          <StartPositionPanel
+            customStarts={customStarts}
+            onSetup={setupPosition}
+            onSave={saveCurrentStart}
+            onDelete={deleteStart}
+          />
+
+          <EnginePanel
+            status={engine.status}
+            name={engine.name}
+            error={engine.error}
+            lines={engine.lines}
+            multiPv={engineMultiPv}
+            running={engineRunning}
+            preview={previewPosition ? previewUci : null}
+            onConnect={connectEngine}
+            onDisconnect={disconnectEngine}
+            onMultiPvChange={setEngineMultiPv}
+            onRunningChange={setEngineRunning}
+            onPreview={previewEngineMove}
+          />
+
+          <HistoryPanel
+            entries={historyEntries}
+            currentIndex={historyIndex}
+            onJump={jumpTo}
+          />
+
+          {stats && <StatsPanel stats={stats} />}
+
+          {showWeakPieces && (
+            <WeakPiecesPanel
+              weakPieces={analysis.weakPieces}
+              height={boardHeight}
+              sideFilter={weakSideFilter}
+              onSideFilterChange={setWeakSideFilter}
+            />
+          )}
+        </div>
       </main>
+
+      {/* Piece following the pointer while dragging */}
+      {isDragging && draggedPiece && (
+        <div ref={ghostRef} className={`drag-ghost piece ${draggedPiece.color} ${isStandardPiece(draggedPiece.type) ? '' : 'fairy'}`}>
+          {getPieceSymbol(draggedPiece.type, draggedPiece.color)}
+        </div>
+      )}
+
+      {promotion && (
+        <PromotionPicker
+          {...promotion}
+          onSelect={handlePromotionSelect}
+          onCancel={cancelPromotion}
+        />
+      )}
+
+      {pieceMenu && (
+        <PieceMenu
+          {...pieceMenu}
+          height={boardHeight}
+          selected={selectedPieces.has(pieceMenu.piece.pieceIndex)}
+          onToggleSelection={handleToggleSelection}
+          onRemove={handleRemovePiece}
+          onClose={closePieceMenu}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,99 @@
+import { memo } from 'react'
+import { ANNOTATION_COLORS } from '../utils/annotations'
+import { parseSquare } from '../utils/fen'
+import { DEFAULT_BOARD_SIZE } from '../utils/boardSize'
+import './AnnotationLayer.css'
+
+// Arrow geometry in square units (the SVG viewBox is one unit per square)
+const ARROW_WIDTH = 0.16
+const HEAD_LENGTH = 0.4
+const HEAD_WIDTH = 0.42
+// Arrows start a bit off-center so they don't cover the piece symbol
+const START_OFFSET = 0.25
+
+// Center of a square in SVG coordinates for the given orientation, or null when the
+// square is not on this board
+function squareCenter(square, flipped, size) {
+  const coords = parseSquare(square, size)
+  if (!coords) return null
+  const [row, col] = coords
+  return flipped
+    ? { x: size.width - 1 - col + 0.5, y: size.height - 1 - row + 0.5 }
+    : { x: col + 0.5, y: row + 0.5 }
+}
+
+// Arrow as a single polygon (shaft + head), so overlapping arrows blend evenly
+function arrowPoints(from, to) {
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  const length = Math.hypot(dx, dy)
+  const ux = dx / length
+  const uy = dy / length
+  const nx = -uy
+  const ny = ux
+  const start = { x: from.x + ux * START_OFFSET, y: from.y + uy * START_OFFSET }
+  const neck = { x: to.x - ux * HEAD_LENGTH, y: to.y - uy * HEAD_LENGTH }
+  const w = ARROW_WIDTH / 2
+  const h = HEAD_WIDTH / 2
+  return [
+    [start.x + nx * w, start.y + ny * w],
+    [neck.x + nx * w, neck.y + ny * w],
+    [neck.x + nx * h, neck.y + ny * h],
+    [to.x, to.y],
+    [neck.x - nx * h, neck.y - ny * h],
+    [neck.x - nx * w, neck.y - ny * w],
+    [start.x - nx * w, start.y - ny * w],
+  ].map(([x, y]) => `${x.toFixed(3)},${y.toFixed(3)}`).join(' ')
+}
+
+function Shape({ shape, flipped, size, preview = false }) {
+  const { stroke } = ANNOTATION_COLORS[shape.color]
+  const className = `annotation ${preview ? 'preview' : ''}`
+  if (shape.square || shape.from === shape.to) {
+    const center = squareCenter(shape.square ?? shape.from, flipped, size)
+    if (!center) return null
+    return <circle className={className} cx={center.x} cy={center.y} r={0.45} stroke={stroke} />
+  }
+  const from = squareCenter(shape.from, flipped, size)
+  const to = squareCenter(shape.to, flipped, size)
+  if (!from || !to) return null
+  return <polygon className={className} points={arrowPoints(from, to)} fill={stroke} />
+}
+
+// Engine line arrows, fading with each ply further ahead
+const ENGINE_ARROW_OPACITY = [0.85, 0.55, 0.35]
+
+function EngineArrow({ arrow, ply, flipped, size }) {
+  const from = squareCenter(arrow.from, flipped, size)
+  const to = squareCenter(arrow.to, flipped, size)
+  if (!from || !to) return null
+  const opacity = ENGINE_ARROW_OPACITY[Math.min(ply, ENGINE_ARROW_OPACITY.length - 1)]
+  return <polygon className="engine-arrow" points={arrowPoints(from, to)} style={{ opacity }} />
+}
+
+// SVG overlay on top of the squares; never receives pointer events.
+// engineArrows ([{ from, to }], one per ply) draw an engine line under the annotations.
+const AnnotationLayer = memo(function AnnotationLayer({
+  annotations,
+  preview = null,
+  engineArrows = [],
+  orientation = 'white',
+  size = DEFAULT_BOARD_SIZE
+}) {
+  const flipped = orientation === 'black'
+  const { arrows, circles } = annotations
+  if (!arrows.length && !circles.length && !preview && !engineArrows.length) return null
+
+  return (
+    <svg className="annotation-layer" viewBox={`0 0 ${size.width} ${size.height}`} aria-hidden="true">
+      {engineArrows.map((a, ply) => (
+        <EngineArrow key={`e-${ply}-${a.from}${a.to}`} arrow={a} ply={ply} flipped={flipped} size={size} />
+      ))}
+      {circles.map(c => <Shape key={`c-${c.square}`} shape={c} flipped={flipped} size={size} />)}
+      {arrows.map(a => <Shape key={`a-${a.from}${a.to}`} shape={a} flipped={flipped} size={size} />)}
+      {preview && <Shape shape={preview} flipped={flipped} size={size} preview />}
+    </svg>
+  )
+})
+
+export default AnnotationLayer
@@ -1,17 +1,29 @@
-import { memo } from 'react'
-import { getPieceSymbol, PIECE_COLORS, HEAT_COLORS, pieceColorMap } from '../utils/pieceLogic'
+import { memo, useRef, useState, useEffect } from 'react'
+import AnnotationLayer from './AnnotationLayer'
+import EvalBar from './EvalBar'
+import { squareAt } from '../hooks/usePointerDrag'
+import { getPieceSymbol, ATTACK_ROLES, WEAKNESS_TYPES } from '../utils/pieceLogic'
+import { squareName } from '../utils/fen'
+import { boardSize, FILES } from '../utils/boardSize'
+import { isStandardPiece } from '../utils/pieceDefinitions'
+import { annotationColorFromEvent, EMPTY_ANNOTATIONS } from '../utils/annotations'
+import { getSquareView, getDepthOverlayStyle, filterBySelection, isSideVisible } from '../utils/squareView'
 import './ChessBoard.css'
 
-const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
-const ranks = ['8', '7', '6', '5', '4', '3', '2', '1']
+// Board rows or cols in screen order (top-left first): reversed when flipped.
+// Squares keep their board coordinates, only the render order changes.
+function displayOrder(count, flipped) {
+  const order = Array.from({ length: count }, (_, i) => i)
+  return flipped ? order.reverse() : order
+}
 
 // Component to render the attack indicator with color segments (distinct mode)
-// attackers is array of {idx, color} objects
-function AttackIndicator({ attackers }) {
+// attackers is array of {idx, color} objects, pieces the analysis' piece metadata
+function AttackIndicator({ attackers, pieces }) {
   if (!attackers || attackers.length === 0) return null
   
   const size = 20 // Size of the indicator square
-  const colors = attackers.map(a => PIECE_COLORS[a.idx % PIECE_COLORS.length])
+  const colors = attackers.map(a => pieces[a.idx]?.displayColor)
   
   // Check if all attackers are black - apply desaturation and opacity
   const allBlack = attackers.every(a => a.color === 'black')
@@ -70,64 +82,277 @@ function AttackIndicator({ attackers }) {
   )
 }
 
-// Get heat map background color based on attack count
-function getHeatColor(count) {
-  if (count === 0) return null
-  const idx = Math.min(count, HEAT_COLORS.length - 1)
-  return HEAT_COLORS[idx]
+// X-ray indicator: one ring per x-raying piece, solid ring = through own piece
+// (battery), dashed ring = through an enemy piece
+// xrays is array of {idx, color, role, through, battery} objects
+function XrayIndicator({ xrays, pieces, height }) {
+  if (!xrays || xrays.length === 0) return null
+
+  const describe = (x) => {
+    const via = squareName(...x.through, height)
+    if (x.role === ATTACK_ROLES.XRAY_OWN) {
+      return `${x.battery ? 'Battery' : 'X-ray'} through own piece on ${via}`
+    }
+    return `X-ray through enemy piece on ${via}`
+  }
+
+  return (
+    <div className="xray-indicator" title={xrays.map(describe).join('\n')}>
+      {xrays.map((x, i) => (
+        <span
+          key={i}
+          className={`xray-ring ${x.role === ATTACK_ROLES.XRAY_OWN ? 'own' : 'enemy'} ${x.color}`}
+          style={{ borderColor: pieces[x.idx]?.displayColor }}
+        />
+      ))}
+    </div>
+  )
+}
+
+// Describe a static exchange result, e.g. "+2 for white" / "losing for black (-3)"
+function describeExchange({ gain, side }) {
+  if (gain > 0) return `+${gain} for ${side}`
+  if (gain < 0) return `losing for ${side} (${gain})`
+  return `even trade for ${side}`
+}
+
+// Exchange badge (bottom-right): material outcome if the enemy starts capturing here
+function ExchangeBadge({ exchange }) {
+  if (!exchange) return null
+  const { gain, side, sequence, played } = exchange
+  const outcome = gain > 0 ? 'win' : gain < 0 ? 'lose' : 'even'
+  const order = sequence.slice(0, played).map(s => `${s.color} ${s.type}`).join(' → ')
+  return (
+    <div
+      className={`exchange-badge ${outcome} ${side}`}
+      title={`Exchange: ${describeExchange(exchange)}\nCapture order: ${order}`}
+    >
+      {gain > 0 ? `+${gain}` : gain === 0 ? '=' : gain}
+    </div>
+  )
+}
+
+// Castling path status per square, worst first
+const CASTLING_STATUS = ['attacked', 'blocked', 'safe']
+const CASTLE_NAMES = { kingside: 'O-O', queenside: 'O-O-O' }
+
+// Squares each held castling right needs, keyed "row-col": { status, notes }.
+// The king square belongs to both paths of its color and shows the worse status.
+function castlingMarkers(paths, height) {
+  const markers = new Map()
+  paths.filter(path => path.hasRight).forEach(path => {
+    const side = path.color === 'white' ? 'White' : 'Black'
+    path.squares.forEach(({ square, occupied, attacked }) => {
+      const status = attacked ? 'attacked' : occupied ? 'blocked' : 'safe'
+      const key = `${square[0]}-${square[1]}`
+      const marker = markers.get(key) ?? { status, notes: [] }
+      if (CASTLING_STATUS.indexOf(status) < CASTLING_STATUS.indexOf(marker.status)) marker.status = status
+      const state = attacked ? 'attacked' : occupied ? 'occupied' : 'safe'
+      marker.notes.push(`${side} ${CASTLE_NAMES[path.castle]}: ${squareName(...square, height)} ${state}`)
+      markers.set(key, marker)
+    })
+  })
+  return markers
+}
+
+// Flight squares of the shown kings, keyed "row-col": [{ color, status }]
+function flightMarkers(kings) {
+  const markers = new Map()
+  kings.forEach(({ color, flights }) => flights.forEach(({ row, col, status }) => {
+    const key = `${row}-${col}`
+    markers.set(key, [...(markers.get(key) ?? []), { color, status }])
+  }))
+  return markers
+}
+
+// "check", "double-check" or "checkmate" (the worst that applies), or null
+function kingStatus({ check, doubleCheck, checkmate }) {
+  if (checkmate) return 'checkmate'
+  if (doubleCheck) return 'double-check'
+  return check ? 'check' : null
+}
+
+const KING_STATUS_MARKS = { check: '+', 'double-check': '++', checkmate: '#' }
+
+// Outline of each shown king's zone, labelled with its attackers and attack weight
+// (SVG in square units, like the annotation layer)
+function KingZoneLayer({ kings, flipped, size }) {
+  return (
+    <svg className="king-zone-layer" viewBox={`0 0 ${size.width} ${size.height}`} aria-hidden="true">
+      {kings.map(king => {
+        const rows = king.zone.map(([r]) => r)
+        const cols = king.zone.map(([, c]) => c)
+        const [minRow, maxRow, minCol, maxCol] = [Math.min(...rows), Math.max(...rows), Math.min(...cols), Math.max(...cols)]
+        const x = flipped ? size.width - 1 - maxCol : minCol
+        const y = flipped ? size.height - 1 - maxRow : minRow
+        const status = kingStatus(king)
+        return (
+          <g key={`${king.color}-${king.row}-${king.col}`} className={`king-zone ${king.color} ${status ?? ''}`}>
+            <rect x={x + 0.04} y={y + 0.04} width={maxCol - minCol + 0.92} height={maxRow - minRow + 0.92} rx={0.08} />
+            <text x={x + 0.1} y={y + 0.3}>
+              {`⚔${king.attackers.length} · ${king.attackWeight}${status ? ` ${KING_STATUS_MARKS[status]}` : ''}`}
+            </text>
+          </g>
+        )
+      })}
+    </svg>
+  )
 }
 
-// Get depth-based opacity/color
-function getDepthStyle(depth) {
-  switch(depth) {
-    case 1: return { opacity: 1, border: 'none' }
-    case 2: return { opacity: 0.5, border: '2px dashed rgba(255,255,255,0.3)' }
-    case 3: return { opacity: 0.25, border: '2px dotted rgba(255,255,255,0.2)' }
-    default: return { opacity: 1, border: 'none' }
+// Pawn structure flags, in badge order: letter and name
+const PAWN_FLAGS = [
+  ['passed', 'P', 'passed'],
+  ['isolated', 'I', 'isolated'],
+  ['doubled', 'D', 'doubled'],
+  ['backward', 'B', 'backward'],
+]
+
+// Pawn labels and hole/outpost shading of both sides, keyed "row-col":
+// { pawn: { color, flags, title }, squares: [{ kind, color, title }] }
+function pawnStructureMarkers(structure, height) {
+  const markers = new Map()
+  if (!structure) return markers
+  const at = (row, col) => {
+    const key = `${row}-${col}`
+    if (!markers.has(key)) markers.set(key, { pawn: null, squares: [] })
+    return markers.get(key)
+  }
+  for (const color of ['white', 'black']) {
+    const { pawns, islands, holes, outposts } = structure[color]
+    const side = color === 'white' ? 'White' : 'Black'
+    pawns.forEach(pawn => {
+      const flags = PAWN_FLAGS.filter(([flag]) => pawn[flag])
+      const island = islands[pawn.island]
+      const files = `${FILES[island[0]]}${island.length > 1 ? `-${FILES[island[island.length - 1]]}` : ''}`
+      const notes = flags.map(([, , name]) => name).join(', ')
+      at(pawn.row, pawn.col).pawn = {
+        color,
+        flags: flags.map(([, letter]) => letter).join(''),
+        title: `${side} pawn ${squareName(pawn.row, pawn.col, height)}${notes ? `: ${notes}` : ''}; island ${pawn.island + 1} of ${islands.length} (${files})`,
+      }
+    })
+    holes.forEach(([row, col]) => at(row, col).squares.push({ kind: 'hole', color, title: `Hole in ${color}'s camp: no ${color} pawn can ever attack it` }))
+    outposts.forEach(([row, col]) => at(row, col).squares.push({ kind: 'outpost', color, title: `${side} outpost: pawn-supported, no enemy pawn can ever attack it` }))
   }
+  return markers
 }
 
+const EMPTY_ENGINE_ARROWS = []
+
+// Draws one analyzePosition result (pieces, attacks, exchanges, weak pieces, castling paths,
+// king safety, pawn structure) with the given display toggles
 const ChessBoard = memo(function ChessBoard({ 
-  board, 
-  attacks, 
+  analysis,
   showAttackCounts,
   distinctMode = true,
-  coverageDepth = 1,
   selectedOnly = false,
   selectedPieces = new Set(),
   lowContrast = false,
+  orientation = 'white',
   showWhiteControl = true,
   showBlackControl = true,
-  onDragStart, 
-  onDrop, 
-  onDragEnd,
+  showWhiteKingSafety = false,
+  showBlackKingSafety = false,
+  onPiecePointerDown,
+  dropTarget = null,
   onRemovePiece,
-  onToggleSelection
+  onToggleSelection,
+  legalTargets = null,
+  weakSide = 'all',
+  annotations = EMPTY_ANNOTATIONS,
+  annotationMode = false,
+  onAnnotate,
+  engineArrows = EMPTY_ENGINE_ARROWS,
+  evaluation = null,
+  inspectedSquare = null,
+  inspectHighlight = null,
+  onInspectSquare,
+  onHoverSquare
 }) {
-  const handleDragOver = (e) => {
-    e.preventDefault()
-  }
+  const { board, attacks, pieces, exchanges } = analysis
+  const coverageDepth = analysis.options.depth
+  const showXray = analysis.options.xray
+
+  // Legal destinations of the dragged piece, keyed "row-col"
+  const legalTargetKeys = new Set((legalTargets || []).map(([r, c]) => `${r}-${c}`))
+
+  const size = boardSize(board)
+  const flipped = orientation === 'black'
+  const rowOrder = displayOrder(size.height, flipped)
+  const colOrder = displayOrder(size.width, flipped)
+  const displayFiles = colOrder.map(c => FILES[c])
+  const displayRanks = rowOrder.map(r => String(size.height - r))
+
+  // Weak (hanging / under-defended) pieces of the chosen side, keyed "row-col"
+  const weakByKey = new Map(analysis.weakPieces
+    .filter(w => weakSide === 'all' || w.piece.color === weakSide)
+    .map(w => [`${w.row}-${w.col}`, w]))
+  const castlingByKey = castlingMarkers(analysis.castling, size.height)
+  // King safety of the sides switched on
+  const kings = analysis.kingSafety.filter(k => k.color === 'white' ? showWhiteKingSafety : showBlackKingSafety)
+  const flightsByKey = flightMarkers(kings)
+  const kingByKey = new Map(kings.map(k => [`${k.row}-${k.col}`, k]))
+  const pawnsByKey = pawnStructureMarkers(analysis.pawnStructure, size.height)
+  // Square inspector: the inspected square, and the piece and ray of the hovered entry
+  const inspectedKey = inspectedSquare && `${inspectedSquare[0]}-${inspectedSquare[1]}`
+  const inspectSourceKey = inspectHighlight && `${inspectHighlight.from[0]}-${inspectHighlight.from[1]}`
+  const inspectRayKeys = new Set((inspectHighlight?.ray ?? []).map(([r, c]) => `${r}-${c}`))
+
+  // Pointer type of the last press; a touch long-press also fires contextmenu,
+  // which must not remove the piece (the long-press menu handles that)
+  const lastPointerType = useRef('mouse')
+
+  // Arrow/circle being drawn: { from, to, color } with square names
+  const [drawing, setDrawing] = useState(null)
 
-  const handleDrop = (e, row, col) => {
+  // Annotation mode draws with the primary button; otherwise Alt + right button draws
+  // (plain right-click keeps removing pieces). Capture phase, so no piece drag starts.
+  const handleAnnotationPointerDown = (e) => {
+    const drawButton = annotationMode ? e.button === 0 : e.button === 2 && e.altKey
+    if (!onAnnotate || !drawButton) return
+    const square = squareAt(e.clientX, e.clientY)
+    if (!square) return
     e.preventDefault()
     e.stopPropagation()
-    onDrop(row, col)
+    const name = squareName(...square, size.height)
+    setDrawing({ from: name, to: name, color: annotationColorFromEvent(e) })
   }
 
-  const handleDragStart = (e, piece, row, col) => {
-    e.dataTransfer.effectAllowed = 'all'
-    e.dataTransfer.setData('text/plain', JSON.stringify(piece))
-    onDragStart(piece, true, row, col)
-  }
+  useEffect(() => {
+    if (!drawing) return
+    const handleMove = (e) => {
+      const square = squareAt(e.clientX, e.clientY)
+      if (!square) return
+      const name = squareName(...square, size.height)
+      setDrawing(d => d && d.to !== name ? { ...d, to: name } : d)
+    }
+    const handleUp = () => {
+      onAnnotate(drawing)
+      setDrawing(null)
+    }
+    const handleCancel = () => setDrawing(null)
+    window.addEventListener('pointermove', handleMove)
+    window.addEventListener('pointerup', handleUp)
+    window.addEventListener('pointercancel', handleCancel)
+    return () => {
+      window.removeEventListener('pointermove', handleMove)
+      window.removeEventListener('pointerup', handleUp)
+      window.removeEventListener('pointercancel', handleCancel)
+    }
+  }, [drawing, onAnnotate, size.height])
 
   const handleContextMenu = (e, row, col) => {
     e.preventDefault()
-    if (board[row][col]) {
-      onRemovePiece(row, col)
+    // Alt + right button is reserved for drawing annotations
+    if (e.altKey) return
+    if (lastPointerType.current === 'mouse' && board[row][col]) {
+      onRemovePiece?.(row, col)
     }
   }
 
   const handlePieceClick = (e, piece) => {
+    // In annotation mode Ctrl picks the drawing color instead of selecting
+    if (annotationMode) return
     if (e.ctrlKey || e.metaKey) {
       e.preventDefault()
       e.stopPropagation()
@@ -137,136 +362,90 @@ const ChessBoard = memo(function ChessBoard({
     }
   }
 
+  // A click pins the square inspector (not while drawing annotations)
+  const handleSquareClick = (row, col) => {
+    if (!annotationMode) onInspectSquare?.(row, col)
+  }
+
   // Get piece color for border indicator
   const getPieceColor = (piece) => {
     if (!piece || piece.pieceIndex === undefined) return null
-    return PIECE_COLORS[piece.pieceIndex % PIECE_COLORS.length]
-  }
-
-  // Filter by selection if enabled
-  // items is array of {idx, color} objects
-  const filterBySelection = (items) => {
-    if (!items) return []
-    if (!selectedOnly) return items
-    if (selectedPieces.size === 0) return []
-    return items.filter(item => selectedPieces.has(item.idx))
+    return pieces[piece.pieceIndex]?.displayColor
   }
 
-  // Get raw (unfiltered) attackers for contested calculation
-  const getRawAttackers = (rowIdx, colIdx) => {
-    const cell = attacks[rowIdx]?.[colIdx]
-    if (!cell) return []
-    
-    if (Array.isArray(cell)) {
-      return cell.map(idx => ({ idx, color: 'white' }))
-    }
-    
-    if (cell.attackers && !cell.depth1) {
-      return cell.attackers || []
-    }
-    
-    // New format with depth - get depth1 attackers
-    return cell.depth1?.attackers || []
-  }
+  const viewOptions = { distinctMode, coverageDepth, selectedOnly, selectedPieces, showWhiteControl, showBlackControl }
 
-  // Get attackers and defenders for a square across depths
-  const getSquareInfo = (rowIdx, colIdx) => {
-    const cell = attacks[rowIdx]?.[colIdx]
-    if (!cell) return { attackers: [], defenders: [], byDepth: {}, rawAttackers: [] }
-    
-    // Get raw attackers for contested calculation (unfiltered)
-    const rawAttackers = getRawAttackers(rowIdx, colIdx)
-    
-    // Handle old array format (backwards compat) - convert to new format
-    if (Array.isArray(cell)) {
-      const filtered = cell.filter(idx => !selectedOnly || selectedPieces.size === 0 || selectedPieces.has(idx))
-        .map(idx => ({ idx, color: 'white' })) // assume white for old format
-      return { attackers: filtered, defenders: [], byDepth: { 1: { attackers: filtered, defenders: [] } }, rawAttackers }
-    }
-    
-    // Handle new format with attackers/defenders (non-depth)
-    if (cell.attackers && !cell.depth1) {
-      const attackers = filterBySelection(cell.attackers)
-      const defenders = filterBySelection(cell.defenders)
-      return { attackers, defenders, byDepth: { 1: { attackers, defenders } }, rawAttackers }
-    }
-    
-    // New format with depth
-    const byDepth = {}
-    let allAttackers = []
-    let allDefenders = []
-    
-    if (cell.depth1) {
-      const attackers = filterBySelection(cell.depth1.attackers)
-      const defenders = filterBySelection(cell.depth1.defenders)
-      byDepth[1] = { attackers, defenders }
-      allAttackers = [...allAttackers, ...attackers]
-      allDefenders = [...allDefenders, ...defenders]
-    }
-    if (cell.depth2 && coverageDepth >= 2) {
-      const attackers = filterBySelection(cell.depth2.attackers)
-      byDepth[2] = { attackers, defenders: [] }
-      allAttackers = [...allAttackers, ...attackers]
-    }
-    if (cell.depth3 && coverageDepth >= 3) {
-      const attackers = filterBySelection(cell.depth3.attackers)
-      byDepth[3] = { attackers, defenders: [] }
-      allAttackers = [...allAttackers, ...attackers]
-    }
-    
-    return { attackers: allAttackers, defenders: allDefenders, byDepth, rawAttackers }
+  // X-ray attacks on a square, filtered by selection and color control settings
+  const getXrays = (rowIdx, colIdx) => {
+    if (!showXray) return []
+    return filterBySelection(attacks[rowIdx]?.[colIdx]?.xrays, viewOptions)
+      .filter(x => isSideVisible(x.color, viewOptions))
   }
 
   return (
-    <div className="chess-board-wrapper">
+    <div className="chess-board-wrapper" style={{ '--files': size.width, '--ranks': size.height }}>
       {/* File labels (top) */}
       <div className="file-labels top">
         <div className="corner-spacer"></div>
-        {files.map(f => <div key={f} className="file-label">{f}</div>)}
+        {displayFiles.map(f => <div key={f} className="file-label">{f}</div>)}
         <div className="corner-spacer"></div>
       </div>
 
       <div className="board-with-ranks">
+        {/* Engine evaluation (white-POV score) */}
+        {evaluation && <EvalBar score={evaluation} orientation={orientation} />}
+
         {/* Rank labels (left) */}
         <div className="rank-labels">
-          {ranks.map(r => <div key={r} className="rank-label">{r}</div>)}
+          {displayRanks.map(r => <div key={r} className="rank-label">{r}</div>)}
         </div>
 
         {/* The board */}
-        <div className="chess-board">
-          {board.map((row, rowIdx) => (
-            row.map((piece, colIdx) => {
+        <div
+          className={`chess-board ${annotationMode ? 'annotating' : ''}`}
+          onPointerDownCapture={handleAnnotationPointerDown}
+          onPointerLeave={() => onHoverSquare?.(null)}
+        >
+          {rowOrder.map(rowIdx => (
+            colOrder.map(colIdx => {
+              const piece = board[rowIdx][colIdx]
               const isLight = (rowIdx + colIdx) % 2 === 0
-              const { attackers, defenders, byDepth, rawAttackers } = getSquareInfo(rowIdx, colIdx)
+              const {
+                attackers,
+                defenders,
+                deeperLevels,
+                totalAttackers,
+                rawWhiteAttackers,
+                rawBlackAttackers,
+                isContested,
+                visibleDepth1Attackers,
+                heatColor: heatBgColor,
+                allVisibleBlack,
+              } = getSquareView(attacks, rowIdx, colIdx, viewOptions)
+              const xrays = getXrays(rowIdx, colIdx)
+              const weak = weakByKey.get(`${rowIdx}-${colIdx}`)
+              const weakClass = weak
+                ? (weak.reasons.includes(WEAKNESS_TYPES.HANGING) ? 'weak hanging' : 'weak')
+                : ''
+              const castlingMarker = castlingByKey.get(`${rowIdx}-${colIdx}`)
+              const flights = flightsByKey.get(`${rowIdx}-${colIdx}`)
+              const safetyKing = kingByKey.get(`${rowIdx}-${colIdx}`)
+              const safetyStatus = safetyKing ? kingStatus(safetyKing) : null
+              const pawnMarker = pawnsByKey.get(`${rowIdx}-${colIdx}`)
+              const squareKey = `${rowIdx}-${colIdx}`
+              const inspectClass = [
+                squareKey === inspectedKey && 'inspected',
+                squareKey === inspectSourceKey && 'inspect-source',
+                inspectRayKeys.has(squareKey) && 'inspect-ray',
+              ].filter(Boolean).join(' ')
+              const exchange = exchanges?.[rowIdx]?.[colIdx]
+              const showExchange = exchange && isSideVisible(exchange.side, viewOptions)
               const hasAttackers = attackers.length > 0
               const hasDefenders = defenders.length > 0
               const pieceColor = getPieceColor(piece)
-              
-              // For heat map mode
-              const depth1AttackersList = byDepth[1]?.attackers || []
-              const depth1Attackers = depth1AttackersList.length
-              const depth2Attackers = byDepth[2]?.attackers?.length || 0
-              const depth3Attackers = byDepth[3]?.attackers?.length || 0
-              const totalAttackers = depth1Attackers + depth2Attackers + depth3Attackers
-              
-              // Count white and black attackers from RAW (unfiltered) data for contested
-              const rawWhiteAttackers = rawAttackers.filter(a => a.color === 'white').length
-              const rawBlackAttackers = rawAttackers.filter(a => a.color === 'black').length
-              const isContested = rawWhiteAttackers > 0 && rawBlackAttackers > 0
-              
-              // Filter attackers by color control settings
-              const visibleDepth1Attackers = depth1AttackersList.filter(a => 
-                (a.color === 'white' && showWhiteControl) || (a.color === 'black' && showBlackControl)
-              )
               const visibleDepth1Count = visibleDepth1Attackers.length
-              
-              // Heat map background color (only for visible attackers in heat mode)
-              const heatBgColor = !distinctMode && visibleDepth1Count > 0 
-                ? getHeatColor(visibleDepth1Count) 
-                : null
-              
-              // Check if all visible depth1 attackers are black (for styling)
-              const allVisibleBlack = visibleDepth1Count > 0 && visibleDepth1Attackers.every(a => a.color === 'black')
+              // Shallowest deeper depth that reaches this square
+              const nearestLevel = deeperLevels[0]
               
               // Style for square - apply opacity/desaturation for black pieces in heat mode
               const squareStyle = {
@@ -285,38 +464,38 @@ const ChessBoard = memo(function ChessBoard({
               return (
                 <div
                   key={`${rowIdx}-${colIdx}`}
-                  className={`square ${isLight ? 'light' : 'dark'} ${piece ? 'has-piece' : ''} ${hasAttackers ? 'attacked' : ''} ${lowContrast ? 'low-contrast' : ''} ${isContested ? 'contested' : ''}`}
+                  className={`square ${isLight ? 'light' : 'dark'} ${piece ? 'has-piece' : ''} ${hasAttackers ? 'attacked' : ''} ${lowContrast ? 'low-contrast' : ''} ${isContested ? 'contested' : ''} ${weakClass} ${safetyStatus ? `king-${safetyStatus}` : ''} ${inspectClass} ${dropTarget?.[0] === rowIdx && dropTarget?.[1] === colIdx ? 'drop-target' : ''}`}
                   style={hasSquareStyle ? squareStyle : undefined}
-                  onDragOver={handleDragOver}
-                  onDrop={(e) => handleDrop(e, rowIdx, colIdx)}
+                  data-square={squareName(rowIdx, colIdx, size.height)}
+                  data-row={rowIdx}
+                  data-col={colIdx}
+                  onPointerDown={(e) => { lastPointerType.current = e.pointerType }}
+                  onPointerEnter={() => onHoverSquare?.(rowIdx, colIdx)}
+                  onClick={() => handleSquareClick(rowIdx, colIdx)}
                   onContextMenu={(e) => handleContextMenu(e, rowIdx, colIdx)}
                 >
-                  {/* Depth 2 overlay (dashed border) */}
-                  {depth2Attackers > 0 && (
-                    <div 
-                      className="depth-overlay depth-2"
-                      style={{
-                        backgroundColor: distinctMode ? 'transparent' : `${HEAT_COLORS[Math.min(depth2Attackers, 4)]}80`,
-                      }}
+                  {/* Deeper coverage overlay: dashed for +1 move, dotted beyond, fading with depth */}
+                  {nearestLevel && (
+                    <div
+                      className={`depth-overlay ${nearestLevel.depth === 2 ? 'depth-2' : 'depth-3'}`}
+                      style={getDepthOverlayStyle(nearestLevel.depth, nearestLevel.attackers.length, distinctMode)}
                     />
                   )}
                   
-                  {/* Depth 3 overlay (dotted border) */}
-                  {depth3Attackers > 0 && (
-                    <div 
-                      className="depth-overlay depth-3"
-                      style={{
-                        backgroundColor: distinctMode ? 'transparent' : `${HEAT_COLORS[Math.min(depth3Attackers, 4)]}40`,
-                      }}
-                    />
+                  {/* Pawn structure: holes and outposts, per side */}
+                  {pawnMarker?.squares.map(({ kind, color, title }) => (
+                    <div key={`${kind}-${color}`} className={`pawn-square ${kind} ${color}`} title={title} />
+                  ))}
+                  
+                  {/* Legal move target for the piece being dragged */}
+                  {legalTargetKeys.has(`${rowIdx}-${colIdx}`) && (
+                    <div className={`legal-target ${piece ? 'capture' : ''}`} />
                   )}
                   
                   {piece && (
                     <div
-                      className={`piece ${piece.color} ${selectedPieces.has(piece.pieceIndex) ? 'selected' : ''}`}
-                      draggable
-                      onDragStart={(e) => handleDragStart(e, piece, rowIdx, colIdx)}
-                      onDragEnd={onDragEnd}
+                      className={`piece ${piece.color} ${isStandardPiece(piece.type) ? '' : 'fairy'} ${selectedPieces.has(piece.pieceIndex) ? 'selected' : ''}`}
+                      onPointerDown={(e) => onPiecePointerDown?.(e, piece, rowIdx, colIdx)}
                       onClick={(e) => handlePieceClick(e, piece)}
                     >
                       {getPieceSymbol(piece.type, piece.color)}
@@ -329,16 +508,46 @@ const ChessBoard = memo(function ChessBoard({
                   
                   {/* Distinct mode: show colored indicator for attackers */}
                   {distinctMode && visibleDepth1Count > 0 && (
-                    <AttackIndicator attackers={visibleDepth1Attackers} />
+                    <AttackIndicator attackers={visibleDepth1Attackers} pieces={pieces} />
                   )}
                   
-                  {/* Depth 2 indicator (smaller, lighter) */}
-                  {distinctMode && depth2Attackers > 0 && !visibleDepth1Count && (
+                  {/* Deeper coverage indicator (smaller, lighter) */}
+                  {distinctMode && nearestLevel && !visibleDepth1Count && (
                     <div className="depth-indicator depth-2-indicator">
-                      <AttackIndicator attackers={byDepth[2]?.attackers} />
+                      <AttackIndicator attackers={nearestLevel.attackers} pieces={pieces} />
+                    </div>
+                  )}
+                  
+                  {/* X-ray / battery indicator */}
+                  <XrayIndicator xrays={xrays} pieces={pieces} height={size.height} />
+                  
+                  {/* Castling path: safe, attacked or blocked square */}
+                  {castlingMarker && (
+                    <div
+                      className={`castling-marker ${castlingMarker.status}`}
+                      title={castlingMarker.notes.join('\n')}
+                    />
+                  )}
+                  
+                  {/* King flight square: safe, attacked or blocked */}
+                  {flights?.map(({ color, status }) => (
+                    <div
+                      key={color}
+                      className={`flight-marker ${status} ${color}`}
+                      title={`Flight square of the ${color} king: ${status}`}
+                    />
+                  ))}
+                  
+                  {/* Pawn structure flags: passed, isolated, doubled, backward */}
+                  {pawnMarker?.pawn?.flags && (
+                    <div className={`pawn-label ${pawnMarker.pawn.color}`} title={pawnMarker.pawn.title}>
+                      {pawnMarker.pawn.flags}
                     </div>
                   )}
                   
+                  {/* Static exchange outcome */}
+                  {showExchange && <ExchangeBadge exchange={exchange} />}
+                  
                   {/* Defender indicator - shield style */}
                   {hasDefenders && (
                     <div className="defender-indicator" title={`Defended ${defenders.length}x`}>
@@ -350,8 +559,9 @@ const ChessBoard = memo(function ChessBoard({
                   {/* Contested square indicators - always show from raw data */}
                   {isContested && (
                     <>
-                      <div className="contested-count top">{rawBlackAttackers}</div>
-                      <div className="contested-count bottom">{rawWhiteAttackers}</div>
+                      {/* Each side's count sits on that side of the board */}
+                      <div className="contested-count top">{flipped ? rawWhiteAttackers : rawBlackAttackers}</div>
+                      <div className="contested-count bottom">{flipped ? rawBlackAttackers : rawWhiteAttackers}</div>
                     </>
                   )}
                   
@@ -362,18 +572,29 @@ const ChessBoard = memo(function ChessBoard({
               )
             })
           ))}
+
+          {kings.length > 0 && <KingZoneLayer kings={kings} flipped={flipped} size={size} />}
+
+          {/* Arrows and circles drawn by the user, and the engine's line (purely visual) */}
+          <AnnotationLayer
+            annotations={annotations}
+            preview={drawing}
+            engineArrows={engineArrows}
+            orientation={orientation}
+            size={size}
+          />
         </div>
 
         {/* Rank labels (right) */}
         <div className="rank-labels">
-          {ranks.map(r => <div key={r} className="rank-label">{r}</div>)}
+          {displayRanks.map(r => <div key={r} className="rank-label">{r}</div>)}
         </div>
       </div>
 
       {/* File labels (bottom) */}
       <div className="file-labels bottom">
         <div className="corner-spacer"></div>
-        {files.map(f => <div key={f} className="file-label">{f}</div>)}
+        {displayFiles.map(f => <div key={f} className="file-label">{f}</div>)}
         <div className="corner-spacer"></div>
       </div>
     </div>
@@ -0,0 +1,149 @@
+import { memo, useState } from 'react'
+import { DEFAULT_BRIDGE_URL, MAX_MULTI_PV } from '../utils/engineClient'
+import { formatScore } from '../utils/uci'
+import './EnginePanel.css'
+
+const MULTI_PV_CHOICES = Array.from({ length: MAX_MULTI_PV }, (_, i) => i + 1)
+// Moves of a line shown in the list; the rest is in the tooltip
+const SHOWN_PV_MOVES = 6
+
+const STATUS_TEXT = {
+  connecting: 'Connecting…',
+  ready: 'Connected',
+}
+
+// UCI engine connection (a bridge URL or the scripted stand-in) and its candidate
+// lines. Clicking a line previews the position after its first move on the board;
+// clicking it again, or Back, returns to the position.
+const EnginePanel = memo(function EnginePanel({
+  status,
+  name,
+  error,
+  lines,
+  multiPv,
+  running,
+  preview,
+  onConnect,
+  onDisconnect,
+  onMultiPvChange,
+  onRunningChange,
+  onPreview
+}) {
+  // 'bridge' (a WebSocket URL) or 'scripted'
+  const [source, setSource] = useState('bridge')
+  const [url, setUrl] = useState(DEFAULT_BRIDGE_URL)
+  const [addressError, setAddressError] = useState(null)
+
+  const connected = status === 'connecting' || status === 'ready'
+
+  const handleConnect = (e) => {
+    e.preventDefault()
+    try {
+      onConnect(source === 'scripted' ? 'scripted' : url)
+      setAddressError(null)
+    } catch (err) {
+      setAddressError(err.message)
+    }
+  }
+
+  if (!connected) {
+    return (
+      <div className="engine-panel">
+        <h3>Engine</h3>
+
+        <form className="engine-connect" onSubmit={handleConnect}>
+          <select
+            className="engine-select"
+            value={source}
+            onChange={e => setSource(e.target.value)}
+            aria-label="Engine"
+          >
+            <option value="bridge">UCI bridge</option>
+            <option value="scripted">Scripted stand-in</option>
+          </select>
+          {source === 'bridge' && (
+            <input
+              type="text"
+              className="engine-url"
+              value={url}
+              onChange={e => setUrl(e.target.value)}
+              aria-label="Bridge address"
+              spellCheck={false}
+            />
+          )}
+          <button type="submit" className="engine-btn">Connect</button>
+        </form>
+
+        {source === 'bridge' && (
+          <p className="engine-hint">
+            Start the bridge with <code>npm run uci-bridge -- stockfish</code>
+          </p>
+        )}
+        {(addressError || error) && <div className="engine-error">{addressError || error}</div>}
+      </div>
+    )
+  }
+
+  return (
+    <div className="engine-panel">
+      <h3>Engine</h3>
+
+      <div className="engine-status">
+        <span className={`engine-dot ${status}`} />
+        <span className="engine-name" title={name ?? undefined}>{name ?? STATUS_TEXT[status]}</span>
+        <button className="engine-btn" onClick={onDisconnect}>Disconnect</button>
+      </div>
+
+      <div className="engine-options">
+        <label className="engine-check">
+          <input type="checkbox" checked={running} onChange={e => onRunningChange(e.target.checked)} />
+          Analyze
+        </label>
+        <label className="engine-lines-count">
+          Lines
+          <select
+            className="engine-select"
+            value={multiPv}
+            onChange={e => onMultiPvChange(Number(e.target.value))}
+          >
+            {MULTI_PV_CHOICES.map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {lines.length > 0 && (
+        <ol className="engine-lines">
+          {lines.map(line => {
+            const [move] = line.pv
+            const previewing = preview === move
+            return (
+              <li key={line.multipv}>
+                <button
+                  className={`engine-line ${previewing ? 'active' : ''}`}
+                  onClick={() => onPreview(previewing ? null : move)}
+                  aria-pressed={previewing}
+                  title={`Depth ${line.depth ?? '?'}: ${line.pv.join(' ')}\nClick to preview the attack maps after ${move}`}
+                >
+                  <span className="engine-score">{formatScore(line.score)}</span>
+                  <span className="engine-pv">
+                    {line.pv.slice(0, SHOWN_PV_MOVES).join(' ')}
+                    {line.pv.length > SHOWN_PV_MOVES ? ' …' : ''}
+                  </span>
+                </button>
+              </li>
+            )
+          })}
+        </ol>
+      )}
+      {running && !lines.length && status === 'ready' && <p className="engine-hint">Thinking…</p>}
+
+      {preview && (
+        <button className="engine-btn engine-back" onClick={() => onPreview(null)}>
+          Back to the position
+        </button>
+      )}
+    </div>
+  )
+})
+
+export default EnginePanel
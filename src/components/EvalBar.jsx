@@ -0,0 +1,29 @@
+import { memo } from 'react'
+import { evalBarFraction, formatScore } from '../utils/uci'
+import './EvalBar.css'
+
+// Engine evaluation as a vertical bar beside the board: white's share grows from the
+// bottom when white is at the bottom, from the top when the board is flipped
+const EvalBar = memo(function EvalBar({ score, orientation = 'white' }) {
+  const white = evalBarFraction(score)
+  const text = formatScore(score)
+  const leader = score.mate !== undefined ? (score.mate > 0 ? 'white' : 'black') : (white >= 0.5 ? 'white' : 'black')
+
+  return (
+    <div
+      className={`eval-bar ${orientation === 'black' ? 'flipped' : ''}`}
+      role="meter"
+      aria-label="Engine evaluation"
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={Math.round(white * 100)}
+      aria-valuetext={text}
+      title={`Evaluation ${text}`}
+    >
+      <div className="eval-bar-white" style={{ height: `${white * 100}%` }} />
+      <span className={`eval-bar-score ${leader}`}>{text}</span>
+    </div>
+  )
+})
+
+export default EvalBar
@@ -0,0 +1,121 @@
+import { memo, useState } from 'react'
+import './GamePanel.css'
+
+const GamePanel = memo(function GamePanel({
+  gameLabels,
+  gameIndex,
+  positions,
+  ply,
+  error,
+  onLoadPgn,
+  onSelectGame,
+  onGoToPly,
+  onClose
+}) {
+  const [pgnText, setPgnText] = useState('')
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    file.text().then(text => onLoadPgn(text))
+    e.target.value = ''
+  }
+
+  const handleLoad = () => {
+    if (onLoadPgn(pgnText)) setPgnText('')
+  }
+
+  // No game loaded yet - show the import form
+  if (!positions) {
+    return (
+      <div className="game-panel">
+        <h3>Game (PGN)</h3>
+        <textarea
+          className="pgn-input"
+          placeholder="Paste PGN here"
+          value={pgnText}
+          onChange={e => setPgnText(e.target.value)}
+          rows={5}
+        />
+        <div className="game-panel-actions">
+          <button className="game-btn" onClick={handleLoad} disabled={!pgnText.trim()}>
+            Load PGN
+          </button>
+          <label className="game-btn file-btn">
+            Open file
+            <input type="file" accept=".pgn,text/plain" onChange={handleFile} />
+          </label>
+        </div>
+        {error && <div className="game-error">{error}</div>}
+      </div>
+    )
+  }
+
+  // Group plies into numbered rows: "1. e4 e5"
+  const startMeta = positions[0].meta
+  const rows = []
+  positions.slice(1).forEach((pos, i) => {
+    const plyIndex = i + 1
+    const mover = positions[i].meta.turn
+    const moveNumber = positions[i].meta.fullmove
+    if (mover === 'white' || rows.length === 0) {
+      rows.push({ moveNumber, white: null, black: null })
+    }
+    rows[rows.length - 1][mover] = { san: pos.san, ply: plyIndex }
+  })
+  const lastPly = positions.length - 1
+
+  return (
+    <div className="game-panel">
+      <div className="game-panel-header">
+        <h3>Game (PGN)</h3>
+        <button className="game-close" onClick={onClose} title="Close game">✕</button>
+      </div>
+
+      {gameLabels.length > 1 && (
+        <select
+          className="game-select"
+          value={gameIndex}
+          onChange={e => onSelectGame(parseInt(e.target.value))}
+        >
+          {gameLabels.map((label, i) => (
+            <option key={i} value={i}>{label}</option>
+          ))}
+        </select>
+      )}
+
+      <div className="game-nav">
+        <button className="game-btn" onClick={() => onGoToPly(0)} disabled={ply === 0} title="First (Home)">⏮</button>
+        <button className="game-btn" onClick={() => onGoToPly(ply - 1)} disabled={ply === 0} title="Previous (←)">◀</button>
+        <span className="game-ply">{ply} / {lastPly}</span>
+        <button className="game-btn" onClick={() => onGoToPly(ply + 1)} disabled={ply === lastPly} title="Next (→)">▶</button>
+        <button className="game-btn" onClick={() => onGoToPly(lastPly)} disabled={ply === lastPly} title="Last (End)">⏭</button>
+      </div>
+
+      <ol className="move-list">
+        {rows.map((row, i) => (
+          <li key={i} className="move-row">
+            <span className="move-number">
+              {row.moveNumber}{!row.white && startMeta.turn === 'black' ? '...' : '.'}
+            </span>
+            {['white', 'black'].map(side => (
+              row[side] ? (
+                <button
+                  key={side}
+                  className={`move ${row[side].ply === ply ? 'current' : ''}`}
+                  onClick={() => onGoToPly(row[side].ply)}
+                >
+                  {row[side].san}
+                </button>
+              ) : <span key={side} className="move empty" />
+            ))}
+          </li>
+        ))}
+      </ol>
+
+      {error && <div className="game-error">{error}</div>}
+    </div>
+  )
+})
+
+export default GamePanel
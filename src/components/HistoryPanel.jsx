@@ -0,0 +1,42 @@
+import { memo, useEffect, useRef } from 'react'
+import './HistoryPanel.css'
+
+const HistoryPanel = memo(function HistoryPanel({
+  entries,
+  currentIndex,
+  onJump
+}) {
+  const listRef = useRef(null)
+
+  // Keep the current entry in view (scrolls only the list, not the page)
+  useEffect(() => {
+    const list = listRef.current
+    const current = list?.querySelector('.history-entry.current')
+    if (!current) return
+    if (current.offsetTop < list.scrollTop) {
+      list.scrollTop = current.offsetTop
+    } else if (current.offsetTop + current.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = current.offsetTop + current.offsetHeight - list.clientHeight
+    }
+  }, [currentIndex, entries.length])
+
+  return (
+    <div className="history-panel">
+      <h3>History</h3>
+      <ol className="history-list" ref={listRef}>
+        {entries.map((entry, i) => (
+          <li key={i}>
+            <button
+              className={`history-entry ${i === currentIndex ? 'current' : ''} ${i > currentIndex ? 'undone' : ''}`}
+              onClick={() => onJump(i)}
+            >
+              {entry.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+})
+
+export default HistoryPanel
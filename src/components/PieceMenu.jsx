@@ -0,0 +1,59 @@
+import { memo, useEffect, useRef } from 'react'
+import { getPieceSymbol } from '../utils/pieceLogic'
+import { squareName } from '../utils/fen'
+import './PieceMenu.css'
+
+// Small popup menu for a board piece, opened by a long press on touch screens
+// (the touch equivalent of Ctrl+click and right-click)
+const PieceMenu = memo(function PieceMenu({
+  piece,
+  row,
+  col,
+  height = 8,
+  x,
+  y,
+  selected,
+  onToggleSelection,
+  onRemove,
+  onClose
+}) {
+  const menuRef = useRef(null)
+
+  // Close on a press outside the menu or on Escape
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) onClose()
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('pointerdown', handlePointerDown)
+    window.addEventListener('keydown', handleKeyDown)
+    return () => {
+      window.removeEventListener('pointerdown', handlePointerDown)
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [onClose])
+
+  return (
+    <div
+      ref={menuRef}
+      className="piece-menu"
+      style={{ left: x, top: y }}
+      onContextMenu={e => e.preventDefault()}
+    >
+      <div className="piece-menu-title">
+        <span className={`piece-menu-symbol ${piece.color}`}>{getPieceSymbol(piece.type, piece.color)}</span>
+        {squareName(row, col, height)}
+      </div>
+      <button className="piece-menu-btn" onClick={() => { onToggleSelection(piece.pieceIndex); onClose() }}>
+        {selected ? 'Deselect' : 'Select'}
+      </button>
+      <button className="piece-menu-btn remove" onClick={() => { onRemove(row, col); onClose() }}>
+        Remove
+      </button>
+    </div>
+  )
+})
+
+export default PieceMenu
@@ -2,84 +2,97 @@ import { memo } from 'react'
 import { getPieceSymbol, PIECE_TYPES } from '../utils/pieceLogic'
 import './PiecePalette.css'
 
+const PIECES = [
+  { type: PIECE_TYPES.KING, name: 'King' },
+  { type: PIECE_TYPES.QUEEN, name: 'Queen' },
+  { type: PIECE_TYPES.ROOK, name: 'Rook' },
+  { type: PIECE_TYPES.BISHOP, name: 'Bishop' },
+  { type: PIECE_TYPES.KNIGHT, name: 'Knight' },
+  { type: PIECE_TYPES.PAWN, name: 'Pawn' },
+]
+
+// Draggable pieces of one color; fairy pieces show their symbol (a letter by default)
+// and their moves in Betza notation on hover
+function PaletteGrid({ pieces, color, fairy = false, onPiecePointerDown }) {
+  return (
+    <div className={`palette-pieces ${fairy ? 'fairy' : ''}`}>
+      {pieces.map(({ type, name, betza }) => (
+        <div
+          key={`${color}-${type}`}
+          className={`palette-piece ${color} ${fairy ? 'fairy' : ''}`}
+          onPointerDown={(e) => onPiecePointerDown?.(e, { type, color })}
+          title={betza ? `${name} (${betza})` : name}
+        >
+          {getPieceSymbol(type, color)}
+        </div>
+      ))}
+    </div>
+  )
+}
+
 const PiecePalette = memo(function PiecePalette({ 
-  onDragStart, 
-  onDragEnd,
+  fairyPieces = [],
+  onPiecePointerDown,
   showBlackControl,
   setShowBlackControl,
   showWhiteControl,
-  setShowWhiteControl
+  setShowWhiteControl,
+  showBlackKingSafety,
+  setShowBlackKingSafety,
+  showWhiteKingSafety,
+  setShowWhiteKingSafety
 }) {
-  const handleDragStart = (e, type, color) => {
-    e.dataTransfer.effectAllowed = 'all'
-    e.dataTransfer.setData('text/plain', JSON.stringify({ type, color }))
-    onDragStart({ type, color }, false)
-  }
-
-  const pieces = [
-    { type: PIECE_TYPES.KING, name: 'King' },
-    { type: PIECE_TYPES.QUEEN, name: 'Queen' },
-    { type: PIECE_TYPES.ROOK, name: 'Rook' },
-    { type: PIECE_TYPES.BISHOP, name: 'Bishop' },
-    { type: PIECE_TYPES.KNIGHT, name: 'Knight' },
-    { type: PIECE_TYPES.PAWN, name: 'Pawn' },
+  const sections = [
+    {
+      color: 'black',
+      title: 'Black',
+      showControl: showBlackControl,
+      setShowControl: setShowBlackControl,
+      showKingSafety: showBlackKingSafety,
+      setShowKingSafety: setShowBlackKingSafety,
+    },
+    {
+      color: 'white',
+      title: 'White',
+      showControl: showWhiteControl,
+      setShowControl: setShowWhiteControl,
+      showKingSafety: showWhiteKingSafety,
+      setShowKingSafety: setShowWhiteKingSafety,
+    },
   ]
 
   return (
     <div className="piece-palette">
       <h2>Pieces</h2>
       
-      <div className="palette-section">
-        <h3>Black</h3>
-        <label className="control-toggle">
-          <input 
-            type="checkbox" 
-            checked={showBlackControl}
-            onChange={e => setShowBlackControl(e.target.checked)}
-          />
-          Show control
-        </label>
-        <div className="palette-pieces">
-          {pieces.map(({ type, name }) => (
-            <div
-              key={`black-${type}`}
-              className="palette-piece black"
-              draggable
-              onDragStart={(e) => handleDragStart(e, type, 'black')}
-              onDragEnd={onDragEnd}
-              title={name}
-            >
-              {getPieceSymbol(type, 'black')}
-            </div>
-          ))}
-        </div>
-      </div>
-
-      <div className="palette-section">
-        <h3>White</h3>
-        <label className="control-toggle">
-          <input 
-            type="checkbox" 
-            checked={showWhiteControl}
-            onChange={e => setShowWhiteControl(e.target.checked)}
-          />
-          Show control
-        </label>
-        <div className="palette-pieces">
-          {pieces.map(({ type, name }) => (
-            <div
-              key={`white-${type}`}
-              className="palette-piece white"
-              draggable
-              onDragStart={(e) => handleDragStart(e, type, 'white')}
-              onDragEnd={onDragEnd}
-              title={name}
-            >
-              {getPieceSymbol(type, 'white')}
-            </div>
-          ))}
+      {sections.map(({ color, title, showControl, setShowControl, showKingSafety, setShowKingSafety }) => (
+        <div key={color} className="palette-section">
+          <h3>{title}</h3>
+          <label className="control-toggle">
+            <input 
+              type="checkbox" 
+              checked={showControl}
+              onChange={e => setShowControl(e.target.checked)}
+            />
+            Show control
+          </label>
+          <label className="control-toggle" title="Outline the king's zone, count its attackers and mark its flight squares">
+            <input 
+              type="checkbox" 
+              checked={showKingSafety}
+              onChange={e => setShowKingSafety(e.target.checked)}
+            />
+            King safety
+          </label>
+          <PaletteGrid pieces={PIECES} color={color} onPiecePointerDown={onPiecePointerDown} />
+          {fairyPieces.length > 0 && (
+            <details className="palette-fairy">
+              <summary>Fairy pieces</summary>
+              <PaletteGrid pieces={fairyPieces} color={color} fairy onPiecePointerDown={onPiecePointerDown} />
+            </details>
+          )}
         </div>
-      </div>
+      ))}
     </div>
   )
 })
@@ -0,0 +1,136 @@
+import { memo } from 'react'
+import { getEnPassantTargets } from '../utils/pieceLogic'
+import { validCastling } from '../utils/fen'
+import { boardSize, boardSizeId, BOARD_SIZES } from '../utils/boardSize'
+import './PositionPanel.css'
+
+const TURNS = [
+  { value: 'white', label: 'White' },
+  { value: 'black', label: 'Black' },
+]
+
+// FEN order, so toggling keeps the rights string canonical
+const CASTLING_RIGHTS = [
+  { right: 'K', label: 'White O-O' },
+  { right: 'Q', label: 'White O-O-O' },
+  { right: 'k', label: 'Black O-O' },
+  { right: 'q', label: 'Black O-O-O' },
+]
+
+// Position state that isn't visible on the board: board size, side to move, castling
+// rights and the en passant square. Rights need king and rook on their home squares;
+// en passant squares are offered only where an enemy pawn could just have made a
+// double step.
+const PositionPanel = memo(function PositionPanel({
+  board,
+  meta,
+  onBoardSizeChange,
+  showCastlingPaths,
+  onShowCastlingPathsChange,
+  onTurnChange,
+  onCastlingChange,
+  onEnPassantChange
+}) {
+  const rights = validCastling(board, meta.castling)
+  const enPassantTargets = getEnPassantTargets(board, meta.turn)
+  // A size loaded from a FEN or URL may not be one of the presets
+  const sizeId = boardSizeId(boardSize(board))
+  const sizes = BOARD_SIZES.some(s => s.id === sizeId)
+    ? BOARD_SIZES
+    : [...BOARD_SIZES, { id: sizeId, name: sizeId.replace('x', '×') }]
+
+  const toggleRight = (right, on) => {
+    const next = CASTLING_RIGHTS
+      .map(r => r.right)
+      .filter(r => r === right ? on : rights.includes(r))
+      .join('')
+    onCastlingChange(next)
+  }
+
+  return (
+    <div className="position-panel">
+      <h3>Position</h3>
+
+      <div className="position-row">
+        <label className="position-label" htmlFor="position-size">Board size</label>
+        <select
+          id="position-size"
+          className="position-select"
+          value={sizeId}
+          onChange={e => onBoardSizeChange(e.target.value)}
+          title="Pieces keep their squares; Setup Board places this size's start position"
+        >
+          {sizes.map(({ id, name }) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="position-row">
+        <span className="position-label">To move</span>
+        <div className="position-turn">
+          {TURNS.map(({ value, label }) => (
+            <button
+              key={value}
+              className={`position-turn-btn ${meta.turn === value ? 'active' : ''}`}
+              onClick={() => onTurnChange(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="position-row">
+        <span className="position-label">Castling</span>
+        <div className="position-castling">
+          {CASTLING_RIGHTS.map(({ right, label }) => {
+            const possible = validCastling(board, right) === right
+            return (
+              <label
+                key={right}
+                className={`position-check ${possible ? '' : 'disabled'}`}
+                title={possible ? `Castling right ${right}` : 'King and rook must be on their home squares'}
+              >
+                <input
+                  type="checkbox"
+                  checked={rights.includes(right)}
+                  disabled={!possible}
+                  onChange={e => toggleRight(right, e.target.checked)}
+                />
+                {label}
+              </label>
+            )
+          })}
+        </div>
+      </div>
+
+      <div className="position-row">
+        <label className="position-label" htmlFor="position-ep">En passant</label>
+        <select
+          id="position-ep"
+          className="position-select"
+          value={meta.enPassant ?? ''}
+          onChange={e => onEnPassantChange(e.target.value || null)}
+          disabled={!enPassantTargets.length && !meta.enPassant}
+        >
+          <option value="">None</option>
+          {[...new Set([...enPassantTargets, ...(meta.enPassant ? [meta.enPassant] : [])])].map(square => (
+            <option key={square} value={square}>{square}</option>
+          ))}
+        </select>
+      </div>
+
+      <label className="position-check" title="Mark the squares each held castling right needs: green = safe, red = attacked, grey = occupied">
+        <input
+          type="checkbox"
+          checked={showCastlingPaths}
+          onChange={e => onShowCastlingPathsChange(e.target.checked)}
+        />
+        Show castling paths
+      </label>
+    </div>
+  )
+})
+
+export default PositionPanel
@@ -0,0 +1,61 @@
+import { memo, useEffect, useRef } from 'react'
+import { getPieceSymbol, PROMOTION_TYPES } from '../utils/pieceLogic'
+import { squareName } from '../utils/fen'
+import './PromotionPicker.css'
+
+// Choice of piece for a pawn reaching the back rank, shown under the target square.
+// A press outside the picker or Escape cancels (the pawn stays where it was).
+const PromotionPicker = memo(function PromotionPicker({
+  color,
+  row,
+  col,
+  height = 8,
+  x,
+  y,
+  onSelect,
+  onCancel
+}) {
+  const pickerRef = useRef(null)
+
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (!pickerRef.current?.contains(e.target)) onCancel()
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel()
+    }
+    window.addEventListener('pointerdown', handlePointerDown)
+    window.addEventListener('keydown', handleKeyDown)
+    return () => {
+      window.removeEventListener('pointerdown', handlePointerDown)
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [onCancel])
+
+  return (
+    <div
+      ref={pickerRef}
+      className="promotion-picker"
+      style={{ left: x, top: y }}
+      role="dialog"
+      aria-label={`Promote on ${squareName(row, col, height)}`}
+    >
+      <div className="promotion-title">Promote on {squareName(row, col, height)}</div>
+      <div className="promotion-choices">
+        {PROMOTION_TYPES.map(type => (
+          <button
+            key={type}
+            className={`promotion-btn ${color}`}
+            data-type={type}
+            title={type}
+            onClick={() => onSelect(type)}
+          >
+            {getPieceSymbol(type, color)}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+})
+
+export default PromotionPicker
@@ -0,0 +1,85 @@
+import { memo } from 'react'
+import { getPieceSymbol } from '../utils/pieceLogic'
+import { describeInspectionEntry } from '../utils/squareInspection'
+import './SquareInspector.css'
+
+// One list of an inspectSquare result; hovering an entry highlights its piece and ray
+function InspectorList({ title, entries, highlighted, onHighlight }) {
+  return (
+    <div className="inspector-group">
+      <h4>{title} ({entries.length})</h4>
+      {entries.length === 0 ? (
+        <p className="inspector-empty">None</p>
+      ) : (
+        <ul className="inspector-list">
+          {entries.map(entry => (
+            <li
+              key={entry.idx}
+              className={`inspector-entry ${entry.color} ${highlighted === entry.idx ? 'active' : ''}`}
+              onPointerEnter={() => onHighlight(entry.idx)}
+              onPointerLeave={() => onHighlight(null)}
+            >
+              <span className={`inspector-piece ${entry.color}`}>{getPieceSymbol(entry.type, entry.color)}</span>
+              <span className="inspector-name">{describeInspectionEntry(entry)}</span>
+              {entry.depth > 1 && (
+                <span className="inspector-depth" title={`Reaches the square after ${entry.depth - 1} more move${entry.depth > 2 ? 's' : ''}`}>
+                  depth {entry.depth}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// Attackers and defenders of the hovered or pinned square (an inspectSquare result).
+// Defenders only apply to an occupied square; an empty one lists every piece reaching it.
+const SquareInspector = memo(function SquareInspector({
+  inspection,
+  pinned = false,
+  highlighted = null,
+  onHighlight,
+  onClose
+}) {
+  if (!inspection) {
+    return (
+      <div className="inspector-panel">
+        <h3>Square Inspector</h3>
+        <p className="inspector-empty">Hover a square to see who attacks and defends it; click to pin it</p>
+      </div>
+    )
+  }
+
+  const { square, piece, attackers, defenders } = inspection
+  return (
+    <div className="inspector-panel">
+      <div className="inspector-header">
+        <h3>
+          {square}
+          {piece && <span className={`inspector-piece ${piece.color}`}>{getPieceSymbol(piece.type, piece.color)}</span>}
+        </h3>
+        {pinned && (
+          <button className="inspector-close" onClick={onClose} title="Unpin this square">×</button>
+        )}
+      </div>
+      <InspectorList
+        title={piece ? 'Attackers' : 'Reached by'}
+        entries={attackers}
+        highlighted={highlighted}
+        onHighlight={onHighlight}
+      />
+      {piece && (
+        <InspectorList
+          title="Defenders"
+          entries={defenders}
+          highlighted={highlighted}
+          onHighlight={onHighlight}
+        />
+      )}
+    </div>
+  )
+})
+
+export default SquareInspector
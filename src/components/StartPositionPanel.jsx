@@ -0,0 +1,112 @@
+import { memo, useState } from 'react'
+import { CHESS960_COUNT, CLASSICAL_CHESS960 } from '../utils/startPositions'
+import './StartPositionPanel.css'
+
+// Start menu: classical, a random or numbered Chess960 position, or a saved custom
+// start. The current position can be saved as a custom start under a name.
+const StartPositionPanel = memo(function StartPositionPanel({
+  customStarts,
+  onSetup,
+  onSave,
+  onDelete
+}) {
+  // 'classical', 'random', '960' (by number) or a 'custom:<name>' id
+  const [choice, setChoice] = useState('classical')
+  const [number, setNumber] = useState(String(CLASSICAL_CHESS960))
+  const [name, setName] = useState('')
+
+  const chess960Number = Number(number)
+  const validNumber = number.trim() !== '' && Number.isInteger(chess960Number) &&
+    chess960Number >= 0 && chess960Number < CHESS960_COUNT
+  const customName = choice.startsWith('custom:') ? choice.slice('custom:'.length) : null
+  // A deleted custom start falls back to classical
+  const selected = customName && !customStarts.some(s => s.name === customName) ? 'classical' : choice
+
+  const handleSetup = () => {
+    const id = selected === '960' ? `960-${chess960Number}` : selected
+    const resolved = onSetup(id)
+    // Show which position "random" picked, so it can be set up again
+    if (selected === 'random') {
+      setChoice('960')
+      setNumber(resolved.slice('960-'.length))
+    }
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    setChoice(onSave(name))
+    setName('')
+  }
+
+  return (
+    <div className="start-panel">
+      <h3>Start Position</h3>
+
+      <div className="start-row">
+        <select
+          className="start-select"
+          value={selected}
+          onChange={e => setChoice(e.target.value)}
+          aria-label="Start position"
+        >
+          <option value="classical">Classical</option>
+          <option value="random">Chess960: random</option>
+          <option value="960">Chess960: by number</option>
+          {customStarts.length > 0 && (
+            <optgroup label="Saved starts">
+              {customStarts.map(start => (
+                <option key={start.name} value={`custom:${start.name}`}>{start.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        {selected === '960' && (
+          <input
+            type="number"
+            className="start-number"
+            min="0"
+            max={CHESS960_COUNT - 1}
+            value={number}
+            onChange={e => setNumber(e.target.value)}
+            aria-label="Chess960 number"
+            title={`0 to ${CHESS960_COUNT - 1}; ${CLASSICAL_CHESS960} is the classical setup`}
+          />
+        )}
+      </div>
+
+      {(selected === 'random' || (selected === '960' && chess960Number !== CLASSICAL_CHESS960)) && (
+        <p className="start-note">
+          Chess960 castling isn't modelled: this start comes without castling rights, so castling
+          paths, legal moves and king safety leave castling out.
+        </p>
+      )}
+
+      <div className="start-row">
+        <button className="start-btn" onClick={handleSetup} disabled={selected === '960' && !validNumber}>
+          Set up
+        </button>
+        {selected.startsWith('custom:') && (
+          <button className="start-btn delete" onClick={() => onDelete(selected.slice('custom:'.length))}>
+            Delete
+          </button>
+        )}
+      </div>
+
+      <form className="start-row" onSubmit={handleSave}>
+        <input
+          type="text"
+          className="start-name"
+          placeholder="Name"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          aria-label="Name for the saved start"
+        />
+        <button type="submit" className="start-btn" disabled={!name.trim()} title="Save the current position as a start">
+          Save current
+        </button>
+      </form>
+    </div>
+  )
+})
+
+export default StartPositionPanel
@@ -0,0 +1,72 @@
+import { memo } from 'react'
+import { getPieceSymbol } from '../utils/pieceLogic'
+import { centerSquareCount } from '../utils/positionStats'
+import './StatsPanel.css'
+
+// "+2", "-1.5", "0"
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value)
+}
+
+// Space, mobility and material per side (a calculatePositionStats result), with the
+// net value white minus black; per-piece mobility sits in a collapsible list
+const StatsPanel = memo(function StatsPanel({ stats }) {
+  const { size, white, black, net } = stats
+  const rows = [
+    { key: 'controlled', label: 'Squares controlled', title: 'Squares each side attacks or defends' },
+    { key: 'opponentHalf', label: 'In enemy half', title: "Controlled squares in the opponent's half of the board" },
+    { key: 'center', label: `Center (${centerSquareCount(size)})`, title: 'Controlled central squares (d4, e4, d5, e5 on 8×8)' },
+    { key: 'extendedCenter', label: `Ext. center (${centerSquareCount(size, 1)})`, title: 'Controlled squares of the extended center (c3-f6 on 8×8)' },
+    { key: 'mobility', label: 'Mobility', title: 'Legal moves of all pieces, each as if it were its turn' },
+    { key: 'material', label: 'Material', title: 'Piece values without the kings (pawn 1, knight/bishop 3, rook 5, queen 9)' },
+  ]
+  const leader = net.material > 0 ? 'White' : net.material < 0 ? 'Black' : null
+
+  return (
+    <div className="stats-panel">
+      <h3>Statistics</h3>
+
+      <table className="stats-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>White</th>
+            <th>Black</th>
+            <th>Net</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ key, label, title }) => (
+            <tr key={key} title={title}>
+              <th scope="row">{label}</th>
+              <td>{white[key]}</td>
+              <td>{black[key]}</td>
+              <td className={net[key] > 0 ? 'ahead' : net[key] < 0 ? 'behind' : ''}>{signed(net[key])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="stats-balance">
+        {leader ? `${leader} is up ${Math.abs(net.material)} in material` : 'Material is level'}
+      </p>
+
+      <details className="stats-mobility">
+        <summary>Mobility per piece</summary>
+        {['white', 'black'].map(color => (
+          <ul key={color} className="stats-pieces">
+            {stats[color].pieces.map(({ type, square, mobility }) => (
+              <li key={square}>
+                <span className={`stats-piece ${color}`}>{getPieceSymbol(type, color)}</span>
+                {square}
+                <span className="stats-moves">{mobility}</span>
+              </li>
+            ))}
+          </ul>
+        ))}
+      </details>
+    </div>
+  )
+})
+
+export default StatsPanel
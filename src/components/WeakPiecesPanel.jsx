@@ -0,0 +1,72 @@
+import { memo } from 'react'
+import { getPieceSymbol, WEAKNESS_TYPES } from '../utils/pieceLogic'
+import { squareName } from '../utils/fen'
+import './WeakPiecesPanel.css'
+
+const SIDE_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'white', label: 'White' },
+  { value: 'black', label: 'Black' },
+]
+
+function describeReason(reason, { attackers, defenders, lowestAttacker }) {
+  switch (reason) {
+    case WEAKNESS_TYPES.HANGING:
+      return 'Hanging (undefended)'
+    case WEAKNESS_TYPES.OUTNUMBERED:
+      return `Attacked ${attackers}x, defended ${defenders}x`
+    case WEAKNESS_TYPES.LOWER_ATTACKER:
+      return `Attacked by a ${lowestAttacker}`
+    default:
+      return reason
+  }
+}
+
+const WeakPiecesPanel = memo(function WeakPiecesPanel({
+  weakPieces,
+  height = 8,
+  sideFilter,
+  onSideFilterChange
+}) {
+  const visible = weakPieces.filter(w => sideFilter === 'all' || w.piece.color === sideFilter)
+
+  return (
+    <div className="weak-panel">
+      <h3>Weak Pieces</h3>
+
+      <div className="weak-filter">
+        {SIDE_FILTERS.map(({ value, label }) => (
+          <button
+            key={value}
+            className={`weak-filter-btn ${sideFilter === value ? 'active' : ''}`}
+            onClick={() => onSideFilterChange(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="weak-empty">No hanging or under-defended pieces</p>
+      ) : (
+        <ul className="weak-list">
+          {visible.map(w => (
+            <li key={`${w.row}-${w.col}`} className={`weak-item ${w.reasons.includes(WEAKNESS_TYPES.HANGING) ? 'hanging' : ''}`}>
+              <span className={`weak-piece ${w.piece.color}`}>{getPieceSymbol(w.piece.type, w.piece.color)}</span>
+              <div className="weak-details">
+                <span className="weak-name">
+                  {w.piece.color === 'white' ? 'White' : 'Black'} {w.piece.type} {squareName(w.row, w.col, height)}
+                </span>
+                {w.reasons.map(reason => (
+                  <span key={reason} className="weak-reason">{describeReason(reason, w)}</span>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+})
+
+export default WeakPiecesPanel
@@ -0,0 +1,49 @@
+import { useEffect, useRef, useState } from 'react'
+import { analysisKey, getAnalysis, getCachedAnalysis, storeAnalysis, freezeAnalysis } from '../utils/analysis'
+import { getFairyPieces } from '../utils/pieceDefinitions'
+
+// Analysis of the current position, memoized per position and options (see getAnalysis).
+// Depth 1 is analyzed right away. Deeper coverage runs in a Web Worker: until its
+// result arrives the depth 1 analysis is returned and pending is true. Where workers
+// are unavailable (or fail to start) everything runs on the main thread.
+export function useAnalysis(position, options) {
+  const [, setReceived] = useState(0)
+  const [workerFailed, setWorkerFailed] = useState(false)
+  const workerRef = useRef(null)
+  // Keys posted to the worker and not answered yet
+  const requested = useRef(new Set())
+
+  const inWorker = options.depth > 1 && !workerFailed && typeof Worker !== 'undefined'
+  const key = analysisKey(position, options)
+  const deep = inWorker ? getCachedAnalysis(key) : null
+  const analysis = deep ?? getAnalysis(position, inWorker ? { ...options, depth: 1 } : options)
+
+  useEffect(() => {
+    if (!inWorker || getCachedAnalysis(key) || requested.current.has(key)) return
+    if (!workerRef.current) {
+      const worker = new Worker(new URL('../workers/analysisWorker.js', import.meta.url), { type: 'module' })
+      worker.onmessage = ({ data }) => {
+        requested.current.delete(data.key)
+        storeAnalysis(data.key, freezeAnalysis(data.analysis))
+        setReceived(n => n + 1)
+      }
+      worker.onerror = () => {
+        worker.terminate()
+        workerRef.current = null
+        requested.current.clear()
+        setWorkerFailed(true)
+      }
+      workerRef.current = worker
+    }
+    requested.current.add(key)
+    workerRef.current.postMessage({ key, position, options, pieces: getFairyPieces() })
+  }, [inWorker, key, position, options])
+
+  useEffect(() => () => {
+    workerRef.current?.terminate()
+    workerRef.current = null
+    requested.current.clear()
+  }, [])
+
+  return { analysis, pending: inWorker && !deep }
+}
@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useState } from 'react'
+import { parseFen } from '../utils/fen'
+
+const STORAGE_KEY = 'chessviz.customStarts'
+
+// Saved starts from localStorage; anything unreadable counts as none
+function loadCustomStarts() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(saved)
+      ? saved.filter(start => typeof start?.name === 'string' && typeof start.fen === 'string')
+      : []
+  } catch {
+    return []
+  }
+}
+
+// User-saved start positions ([{ name, fen }]), kept in localStorage so they survive
+// reloads. saveStart replaces a start of the same name and returns its "custom:<name>" id.
+export function useCustomStarts() {
+  const [customStarts, setCustomStarts] = useState(loadCustomStarts)
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(customStarts))
+    } catch {
+      // Storage full or disabled: the starts last until the page is closed
+    }
+  }, [customStarts])
+
+  const saveStart = useCallback((name, fen) => {
+    const trimmed = String(name ?? '').trim()
+    if (!trimmed) {
+      throw new Error(`Invalid start name "${name}": expected a non-empty name`)
+    }
+    parseFen(fen)
+    setCustomStarts(prev => [...prev.filter(start => start.name !== trimmed), { name: trimmed, fen }])
+    return `custom:${trimmed}`
+  }, [])
+
+  const deleteStart = useCallback((name) => {
+    setCustomStarts(prev => prev.filter(start => start.name !== name))
+  }, [])
+
+  return { customStarts, saveStart, deleteStart }
+}
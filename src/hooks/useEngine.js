@@ -0,0 +1,75 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { createEngineClient, webSocketTransport } from '../utils/engineClient'
+import { createScriptedEngine } from '../utils/scriptedEngine'
+import { whiteScore } from '../utils/uci'
+
+const DISCONNECTED = { status: 'disconnected', name: null, error: null }
+
+// Transport for a connect() target: a bridge URL, "scripted" for the in-page stand-in
+// engine, or a transport object (see engineClient.js)
+function openTransport(target) {
+  if (target === 'scripted') return createScriptedEngine()
+  if (typeof target === 'object' && target) return target
+  const url = String(target ?? '').trim()
+  if (!/^wss?:\/\/\S+$/.test(url)) {
+    throw new Error(`Invalid engine address "${target}": expected a ws:// URL or "scripted"`)
+  }
+  return webSocketTransport(url)
+}
+
+// A UCI engine analysing the position `fen` while connected and running. lines are the
+// engine's MultiPV lines for this very position (never a previous one), best first, with
+// scores turned to white's point of view; done is set once a depth-limited search ends.
+export function useEngine(fen, { multiPv = 1, running = true } = {}) {
+  const clientRef = useRef(null)
+  const [engine, setEngine] = useState(DISCONNECTED)
+  const [result, setResult] = useState(null)
+
+  const disconnect = useCallback(() => {
+    clientRef.current?.close()
+    clientRef.current = null
+    setEngine(DISCONNECTED)
+    setResult(null)
+  }, [])
+
+  const connect = useCallback((target) => {
+    const transport = openTransport(target)
+    clientRef.current?.close()
+    setResult(null)
+    setEngine({ status: 'connecting', name: null, error: null })
+    // Callbacks of a client that has since been replaced are ignored
+    const client = createEngineClient(transport, {
+      onUpdate: (update) => {
+        if (clientRef.current === client) setResult(update)
+      },
+      onStatus: ({ status, name, error }) => {
+        if (clientRef.current !== client) return
+        if (status === 'closed') clientRef.current = null
+        setEngine({ status, name, error: error?.message ?? null })
+      },
+    })
+    clientRef.current = client
+  }, [])
+
+  const ready = engine.status === 'ready'
+  useEffect(() => {
+    const client = clientRef.current
+    if (!client || !ready) return
+    if (running) {
+      client.analyze(fen, { multiPv })
+    } else {
+      client.stop()
+    }
+  }, [fen, multiPv, running, ready])
+
+  useEffect(() => () => clientRef.current?.close(), [])
+
+  const current = result?.fen === fen ? result : null
+  const lines = useMemo(() => {
+    if (!current) return []
+    const turn = fen.split(' ')[1] === 'b' ? 'black' : 'white'
+    return current.lines.slice(0, multiPv).map(line => ({ ...line, score: whiteScore(line.score, turn) }))
+  }, [current, fen, multiPv])
+
+  return { ...engine, lines, done: current?.done ?? false, connect, disconnect }
+}
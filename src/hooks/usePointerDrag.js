@@ -0,0 +1,131 @@
+import { useState, useRef, useCallback, useEffect } from 'react'
+
+// Pixels the pointer must travel before a press becomes a drag
+const DRAG_THRESHOLD = 5
+// Touch/pen hold time that counts as a long press
+const LONG_PRESS_MS = 500
+
+// Square [row, col] under a screen point, from the data-row/data-col attributes on board squares
+export function squareAt(x, y) {
+  const el = document.elementFromPoint(x, y)?.closest('[data-square]')
+  return el ? [Number(el.dataset.row), Number(el.dataset.col)] : null
+}
+
+// Center the floating ghost on the pointer
+function positionGhost(el, point) {
+  if (el && point) {
+    el.style.transform = `translate(${point.x}px, ${point.y}px) translate(-50%, -50%)`
+  }
+}
+
+// Pointer-event drag and drop (mouse, touch and pen).
+// beginDrag(e, payload) goes on a piece's onPointerDown. Once the pointer moves past
+// the threshold, onDragStart(payload) fires; releasing over a board square calls
+// onDrop(row, col), anywhere else calls onDropOutside(). A touch/pen press held still
+// calls onLongPress(payload, { x, y }) instead of dragging.
+// ghostRef goes on the floating drag ghost, which is moved without re-rendering.
+export function usePointerDrag({ onDragStart, onDrop, onDropOutside, onCancel, onLongPress }) {
+  const [isDragging, setIsDragging] = useState(false)
+  const [dropTarget, setDropTarget] = useState(null)
+  const session = useRef(null)
+  const ghostEl = useRef(null)
+  const lastPoint = useRef(null)
+
+  // Latest callbacks, so window listeners never see stale closures
+  const handlers = useRef({})
+  useEffect(() => {
+    handlers.current = { onDragStart, onDrop, onDropOutside, onCancel, onLongPress }
+  })
+
+  // Callback ref: position the ghost as soon as it mounts
+  const ghostRef = useCallback((el) => {
+    ghostEl.current = el
+    positionGhost(el, lastPoint.current)
+  }, [])
+
+  const endSession = useCallback(() => {
+    const s = session.current
+    if (!s) return
+    clearTimeout(s.timer)
+    window.removeEventListener('pointermove', s.onMove)
+    window.removeEventListener('pointerup', s.onUp)
+    window.removeEventListener('pointercancel', s.onCancel)
+    session.current = null
+    setIsDragging(false)
+    setDropTarget(null)
+  }, [])
+
+  const beginDrag = useCallback((e, payload) => {
+    // Right/middle mouse buttons keep their own meaning (context menu removal)
+    if (e.pointerType === 'mouse' && e.button !== 0) return
+    endSession()
+
+    const s = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      payload,
+      started: false,
+      target: null,
+    }
+
+    s.onMove = (ev) => {
+      if (ev.pointerId !== s.pointerId) return
+      lastPoint.current = { x: ev.clientX, y: ev.clientY }
+      if (!s.started) {
+        if (Math.hypot(ev.clientX - s.startX, ev.clientY - s.startY) < DRAG_THRESHOLD) return
+        s.started = true
+        clearTimeout(s.timer)
+        setIsDragging(true)
+        handlers.current.onDragStart?.(s.payload)
+      }
+      ev.preventDefault()
+      positionGhost(ghostEl.current, lastPoint.current)
+      const square = squareAt(ev.clientX, ev.clientY)
+      if (square?.[0] !== s.target?.[0] || square?.[1] !== s.target?.[1]) {
+        s.target = square
+        setDropTarget(square)
+      }
+    }
+
+    s.onUp = (ev) => {
+      if (ev.pointerId !== s.pointerId) return
+      const { started } = s
+      endSession()
+      if (!started) return
+      const square = squareAt(ev.clientX, ev.clientY)
+      if (square) {
+        handlers.current.onDrop?.(square[0], square[1])
+      } else {
+        handlers.current.onDropOutside?.()
+      }
+    }
+
+    s.onCancel = (ev) => {
+      if (ev.pointerId !== s.pointerId) return
+      const { started } = s
+      endSession()
+      if (started) handlers.current.onCancel?.()
+    }
+
+    // Long press (touch/pen only - mouse has right-click and Ctrl+click)
+    if (e.pointerType !== 'mouse') {
+      s.timer = setTimeout(() => {
+        if (session.current !== s || s.started) return
+        endSession()
+        handlers.current.onLongPress?.(payload, { x: s.startX, y: s.startY })
+      }, LONG_PRESS_MS)
+    }
+
+    lastPoint.current = { x: e.clientX, y: e.clientY }
+    session.current = s
+    window.addEventListener('pointermove', s.onMove, { passive: false })
+    window.addEventListener('pointerup', s.onUp)
+    window.addEventListener('pointercancel', s.onCancel)
+  }, [endSession])
+
+  // Drop listeners if the component unmounts mid-drag
+  useEffect(() => endSession, [endSession])
+
+  return { beginDrag, isDragging, dropTarget, ghostRef }
+}
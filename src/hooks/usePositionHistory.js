@@ -0,0 +1,63 @@
+import { useState, useCallback } from 'react'
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 200
+
+// Undo/redo history of board positions ({ board, meta }).
+// commit(label, update, { coalesce }) records a new position: update is either a
+// partial position merged into the current one, or a function of the current position.
+// Consecutive commits with the same coalesce key replace each other (e.g. stepping
+// through a game) so they take a single undo step.
+export function usePositionHistory(createInitial) {
+  const [history, setHistory] = useState(() => ({
+    entries: [{ label: 'Start', position: createInitial(), coalesce: null }],
+    index: 0,
+  }))
+
+  const commit = useCallback((label, update, { coalesce = null } = {}) => {
+    setHistory(prev => {
+      const current = prev.entries[prev.index].position
+      const position = typeof update === 'function' ? update(current) : { ...current, ...update }
+      if (!position || position === current) return prev
+
+      // A new edit discards anything that was undone
+      const entries = prev.entries.slice(0, prev.index + 1)
+      const top = entries[entries.length - 1]
+      if (coalesce && top.coalesce === coalesce) {
+        entries[entries.length - 1] = { label, position, coalesce }
+      } else {
+        entries.push({ label, position, coalesce })
+      }
+
+      const trimmed = entries.slice(-MAX_ENTRIES)
+      return { entries: trimmed, index: trimmed.length - 1 }
+    })
+  }, [])
+
+  const jumpTo = useCallback((index) => {
+    setHistory(prev => (index >= 0 && index < prev.entries.length && index !== prev.index)
+      ? { ...prev, index }
+      : prev
+    )
+  }, [])
+
+  const undo = useCallback(() => {
+    setHistory(prev => prev.index > 0 ? { ...prev, index: prev.index - 1 } : prev)
+  }, [])
+
+  const redo = useCallback(() => {
+    setHistory(prev => prev.index < prev.entries.length - 1 ? { ...prev, index: prev.index + 1 } : prev)
+  }, [])
+
+  return {
+    position: history.entries[history.index].position,
+    entries: history.entries,
+    index: history.index,
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
+    commit,
+    undo,
+    redo,
+    jumpTo,
+  }
+}
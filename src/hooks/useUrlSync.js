@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react'
+
+// Keep the address bar's query string equal to `search`.
+// A change of `pushKey` (a new board position) adds a browser history entry so Back
+// returns to the previous position; any other change rewrites the current entry
+// with history.replaceState. Back/forward calls onNavigate(search) with the URL's query.
+export function useUrlSync(search, pushKey, onNavigate) {
+  const lastPushKey = useRef(pushKey)
+  // Set while applying a back/forward navigation, whose URL is already right
+  const navigating = useRef(false)
+
+  const latest = useRef({ search, onNavigate })
+  useEffect(() => {
+    latest.current = { search, onNavigate }
+  })
+
+  useEffect(() => {
+    const push = pushKey !== lastPushKey.current && !navigating.current
+    lastPushKey.current = pushKey
+    navigating.current = false
+    if (search === window.location.search) return
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`
+    if (push) {
+      window.history.pushState(null, '', url)
+    } else {
+      window.history.replaceState(window.history.state, '', url)
+    }
+  }, [search, pushKey])
+
+  useEffect(() => {
+    const handlePopState = () => {
+      if (window.location.search === latest.current.search) return
+      navigating.current = true
+      latest.current.onNavigate(window.location.search)
+    }
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [])
+}
@@ -0,0 +1,116 @@
+// Pure position analysis: a position and options in, one immutable result out, with
+// everything the board and image export draw. No state is shared between calls, so
+// any number of boards can be analyzed side by side.
+import { calculateAllAttacks, calculateAttacksWithDepth, calculateExchanges, findWeakPieces, getCastlingPaths, PIECE_COLORS } from './pieceLogic.js'
+import { pieceDefinitionsVersion } from './pieceDefinitions.js'
+import { getKingSafety } from './kingSafety.js'
+import { getPawnStructure } from './pawnStructure.js'
+
+export const DEFAULT_ANALYSIS_OPTIONS = {
+  depth: 1,
+  xray: false,
+  exchanges: false,
+  weakPieces: false,
+  castling: false,
+  kingSafety: false,
+  pawnStructure: false,
+}
+
+// Positions kept by getAnalysis; the least recently used one is dropped first
+const MAX_CACHED = 32
+
+const cache = new Map()
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze)
+    Object.freeze(value)
+  }
+  return value
+}
+
+// Freeze a result that lost its immutability on the way, e.g. through postMessage
+export function freezeAnalysis(analysis) {
+  return deepFreeze(analysis)
+}
+
+// Analyze a position ({ board, meta }). Returns a deeply frozen, plain-data result:
+// {
+//   board, meta, options,
+//   pieces: { [pieceIndex]: { idx, type, color, row, col, displayColor } },
+//   attacks: board-sized grid of cells - { attackers, defenders, xrays } at depth 1,
+//            { byDepth: { 1: {...}, 2: {...} }, xrays } for deeper coverage,
+//   exchanges: board-sized grid of static exchange results (null unless options.exchanges),
+//   weakPieces: findWeakPieces result ([] unless options.weakPieces),
+//   castling: getCastlingPaths for white then black ([] unless options.castling),
+//   kingSafety: getKingSafety for every king, white's first ([] unless options.kingSafety),
+//   pawnStructure: getPawnStructure result (null unless options.pawnStructure),
+// }
+// meta (castling/en passant) only matters for deeper coverage, castling paths and
+// whether a king in check is mated.
+export function analyzePosition({ board, meta = null }, options = {}) {
+  const opts = { ...DEFAULT_ANALYSIS_OPTIONS, ...options }
+  // Work on a copy so freezing never touches the caller's board
+  const snapshot = board.map(row => row.map(piece => piece && { ...piece }))
+
+  const pieces = {}
+  snapshot.forEach((rowPieces, row) => rowPieces.forEach((piece, col) => {
+    if (!piece) return
+    const idx = piece.pieceIndex ?? 0
+    pieces[idx] = { idx, type: piece.type, color: piece.color, row, col, displayColor: PIECE_COLORS[idx % PIECE_COLORS.length] }
+  }))
+
+  const attacks = opts.depth > 1
+    ? calculateAttacksWithDepth(snapshot, opts.depth, meta ?? {}, { xray: opts.xray })
+    : calculateAllAttacks(snapshot, { xray: opts.xray })
+
+  return deepFreeze({
+    board: snapshot,
+    meta: meta && { ...meta },
+    options: opts,
+    pieces,
+    attacks,
+    exchanges: opts.exchanges ? calculateExchanges(snapshot) : null,
+    weakPieces: opts.weakPieces ? findWeakPieces(snapshot, attacks) : [],
+    castling: opts.castling
+      ? [...getCastlingPaths(snapshot, meta ?? {}, 'white'), ...getCastlingPaths(snapshot, meta ?? {}, 'black')]
+      : [],
+    kingSafety: opts.kingSafety ? getKingSafety(snapshot, meta, attacks) : [],
+    pawnStructure: opts.pawnStructure ? getPawnStructure(snapshot) : null,
+  })
+}
+
+// Everything a result depends on: piece types, colors and indices per square, the
+// options, plus castling rights and the en passant square for deeper coverage and king
+// safety (they decide which moves are legal) and castling paths, and the piece definitions
+export function analysisKey({ board, meta = null }, options = {}) {
+  const opts = { ...DEFAULT_ANALYSIS_OPTIONS, ...options }
+  const squares = board.flat().map(p => p ? `${p.color[0]}${p.type}${p.pieceIndex ?? 0}` : '').join(',')
+  const rights = opts.depth > 1 || opts.castling || opts.kingSafety ? `${meta?.castling ?? ''}|${meta?.enPassant ?? ''}` : '|'
+  const flags = ['xray', 'exchanges', 'weakPieces', 'castling', 'kingSafety', 'pawnStructure'].map(flag => opts[flag] ? 1 : 0).join('')
+  return `${squares}|${rights}|${opts.depth}|${flags}|${pieceDefinitionsVersion()}`
+}
+
+export function getCachedAnalysis(key) {
+  const analysis = cache.get(key)
+  if (analysis) {
+    // Refresh its place in the LRU order
+    cache.delete(key)
+    cache.set(key, analysis)
+  }
+  return analysis ?? null
+}
+
+export function storeAnalysis(key, analysis) {
+  cache.delete(key)
+  cache.set(key, analysis)
+  if (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value)
+  return analysis
+}
+
+// analyzePosition memoized per position and options, so undo/redo, Back/Forward and
+// display toggles reuse earlier results. Safe to share: results are immutable.
+export function getAnalysis(position, options = {}) {
+  const key = analysisKey(position, options)
+  return getCachedAnalysis(key) ?? storeAnalysis(key, analyzePosition(position, options))
+}
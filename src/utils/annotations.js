@@ -0,0 +1,115 @@
+// Board annotations (arrows and circled squares) drawn over the heat map.
+// They are purely visual and never feed into the attack calculations. Squares are
+// checked against the largest board; shapes off the current board are not drawn.
+import { parseSquare } from './fen.js'
+import { MAX_BOARD_SIZE } from './boardSize.js'
+
+const LARGEST_BOARD = { width: MAX_BOARD_SIZE, height: MAX_BOARD_SIZE }
+
+// One or two square names ("e2", "e2e4", "a10j10")
+const SQUARES_PATTERN = /^([a-j](?:10|[1-9]))([a-j](?:10|[1-9]))?$/
+
+// Annotation color -> stroke color; the letter is used in the URL form
+export const ANNOTATION_COLORS = {
+  green: { letter: 'G', stroke: '#15803d' },
+  red: { letter: 'R', stroke: '#b91c1c' },
+  blue: { letter: 'B', stroke: '#1d4ed8' },
+  yellow: { letter: 'Y', stroke: '#ca8a04' },
+}
+
+export const EMPTY_ANNOTATIONS = { arrows: [], circles: [] }
+
+const COLOR_BY_LETTER = Object.fromEntries(
+  Object.entries(ANNOTATION_COLORS).map(([color, { letter }]) => [letter, color])
+)
+
+// Color picked by the modifier keys held while drawing:
+// none = green, Shift = red, Ctrl/Cmd = blue, Shift+Ctrl/Cmd = yellow
+export function annotationColorFromEvent(e) {
+  const ctrl = e.ctrlKey || e.metaKey
+  if (e.shiftKey && ctrl) return 'yellow'
+  if (e.shiftKey) return 'red'
+  if (ctrl) return 'blue'
+  return 'green'
+}
+
+function validateColor(color) {
+  if (!ANNOTATION_COLORS[color]) {
+    throw new Error(`Invalid annotation color "${color}": expected ${Object.keys(ANNOTATION_COLORS).join(', ')}`)
+  }
+}
+
+function validateSquare(square) {
+  if (!parseSquare(square, LARGEST_BOARD)) {
+    throw new Error(`Invalid annotation square "${square}"`)
+  }
+  return square.toLowerCase()
+}
+
+// Normalize user-supplied annotations ({ arrows, circles } with square names),
+// throwing on any bad square or color
+export function normalizeAnnotations({ arrows = [], circles = [] } = {}) {
+  return {
+    arrows: arrows.map(({ from, to, color = 'green' }) => {
+      validateColor(color)
+      return { from: validateSquare(from), to: validateSquare(to), color }
+    }),
+    circles: circles.map(({ square, color = 'green' }) => {
+      validateColor(color)
+      return { square: validateSquare(square), color }
+    }),
+  }
+}
+
+// Parse the compact URL form "Ge2e4,Rd5": color letter, then one square (circle)
+// or two squares (arrow)
+export function parseAnnotations(str) {
+  const annotations = { arrows: [], circles: [] }
+  if (!str) return annotations
+
+  str.split(',').forEach(entry => {
+    const item = entry.trim()
+    if (!item) return
+    const color = COLOR_BY_LETTER[item[0].toUpperCase()]
+    const squares = item.slice(1).toLowerCase()
+    if (!color) {
+      throw new Error(`Invalid annotation "${item}": expected a color letter (G, R, B, Y) and squares like "Ge2e4"`)
+    }
+    const [, from, to] = SQUARES_PATTERN.exec(squares) ?? []
+    if (from && !to) {
+      annotations.circles.push({ square: from, color })
+    } else if (from) {
+      annotations.arrows.push({ from, to, color })
+    } else {
+      throw new Error(`Invalid annotation "${item}": expected one square (circle) or two (arrow)`)
+    }
+  })
+  return annotations
+}
+
+// Serialize to the compact URL form (empty string when there is nothing drawn)
+export function serializeAnnotations({ arrows, circles }) {
+  return [
+    ...arrows.map(a => `${ANNOTATION_COLORS[a.color].letter}${a.from}${a.to}`),
+    ...circles.map(c => `${ANNOTATION_COLORS[c.color].letter}${c.square}`),
+  ].join(',')
+}
+
+// Draw an arrow (from !== to) or circle (from === to). Drawing the same shape in
+// the same color again erases it; in another color it recolors it.
+export function toggleAnnotation({ arrows, circles }, { from, to, color }) {
+  if (from === to) {
+    const existing = circles.find(c => c.square === from)
+    const rest = circles.filter(c => c !== existing)
+    return {
+      arrows,
+      circles: existing?.color === color ? rest : [...rest, { square: from, color }],
+    }
+  }
+  const existing = arrows.find(a => a.from === from && a.to === to)
+  const rest = arrows.filter(a => a !== existing)
+  return {
+    arrows: existing?.color === color ? rest : [...rest, { from, to, color }],
+    circles,
+  }
+}
@@ -0,0 +1,133 @@
+// Plain-text attack reports for the command-line tool: positions read from FEN/EPD/PGN
+// text, an ASCII board with attacker counts per square, and JSON records.
+// Works on analyzePosition results and has no browser or Node dependencies.
+import { parseFen, parseEpd, pieceLetter, squareName, toFen } from './fen.js'
+import { parsePgn, replayGame, describeGame } from './pgn.js'
+import { boardSize, FILES } from './boardSize.js'
+
+export const INPUT_FORMATS = ['auto', 'fen', 'epd', 'pgn']
+
+// A line is EPD when it has operations after the four position fields, i.e. it is not
+// a FEN with numeric clocks
+function isEpdLine(line) {
+  const fields = line.trim().split(/\s+/)
+  return fields.length > 4 && !(fields.length === 6 && /^\d+$/.test(fields[4]) && /^\d+$/.test(fields[5]))
+}
+
+function looksLikePgn(text) {
+  return /^\s*\[\w+\s+"/m.test(text) || /^\s*1\.\s*\S/m.test(text)
+}
+
+// Positions in FEN/EPD/PGN text. source names the input in labels ("games.pgn").
+// PGN yields every position of every game (lastOnly: only the final one).
+// Returns [{ label, position: { board, meta } }] in input order; entries that could
+// not be read have error instead of position.
+export function readPositions(text, { format = 'auto', source = 'input', lastOnly = false } = {}) {
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format "${format}": expected one of ${INPUT_FORMATS.join(', ')}`)
+  }
+
+  if (format === 'pgn' || (format === 'auto' && looksLikePgn(text))) {
+    return parsePgn(text).flatMap((game, gameIndex) => {
+      const name = `${source} ${describeGame(game, gameIndex)}`
+      // A bad FEN tag makes the whole game unreadable, not the batch
+      let replay
+      try {
+        replay = replayGame(game)
+      } catch (err) {
+        return [{ label: name, error: err.message }]
+      }
+      const { positions, error } = replay
+      const entries = positions
+        .map((position, ply) => ({
+          label: ply ? `${name} ply ${ply} (${position.san})` : `${name} start`,
+          position: { board: position.board, meta: position.meta },
+        }))
+        .slice(lastOnly ? -1 : 0)
+      return error ? [...entries, { label: name, error }] : entries
+    })
+  }
+
+  return text.split(/\r?\n/).flatMap((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return []
+    const lineLabel = `${source}:${i + 1}`
+    try {
+      if (format === 'epd' || (format === 'auto' && isEpdLine(line))) {
+        const { board, meta, operations } = parseEpd(line)
+        return [{ label: operations.id ? `${lineLabel} ${operations.id}` : lineLabel, position: { board, meta } }]
+      }
+      const { board, meta } = parseFen(line)
+      return [{ label: lineLabel, position: { board, meta } }]
+    } catch (err) {
+      return [{ label: lineLabel, error: err.message }]
+    }
+  })
+}
+
+// Everything reaching one square, flattened across coverage depths:
+// { attackers: [{ idx, color, depth }], defenders: [{ idx, color }], xrays }
+function squareEntries(cell) {
+  if (!cell.byDepth) {
+    return { attackers: cell.attackers.map(a => ({ ...a, depth: 1 })), defenders: cell.defenders, xrays: cell.xrays }
+  }
+  const attackers = Object.entries(cell.byDepth)
+    .flatMap(([depth, level]) => level.attackers.map(a => ({ ...a, depth: Number(depth) })))
+  return { attackers, defenders: cell.byDepth[1].defenders, xrays: cell.xrays }
+}
+
+// White and black pieces reaching the square (attacking or defending it)
+function sideCounts(cell) {
+  const { attackers, defenders } = squareEntries(cell)
+  const all = [...attackers, ...defenders]
+  return {
+    white: all.filter(a => a.color === 'white').length,
+    black: all.filter(a => a.color === 'black').length,
+  }
+}
+
+// ASCII board, last rank at the top. Each square shows its piece (FEN letter) above the
+// number of white and black pieces attacking or defending it ("w:b").
+export function renderAsciiBoard(analysis) {
+  const { width, height } = boardSize(analysis.board)
+  const border = `   +${'-----+'.repeat(width)}`
+  const lines = [`     ${FILES.slice(0, width).join('     ')}`, border]
+  analysis.board.forEach((rowPieces, row) => {
+    const pieces = rowPieces.map(piece => `  ${piece ? pieceLetter(piece) : ' '}  |`).join('')
+    const counts = rowPieces.map((_, col) => {
+      const { white, black } = sideCounts(analysis.attacks[row][col])
+      return white || black ? `${String(white).padStart(2)}:${String(black).padEnd(2)}|` : '     |'
+    }).join('')
+    lines.push(`${String(height - row).padStart(2)} |${pieces}`, `   |${counts}`, border)
+  })
+  return lines.join('\n')
+}
+
+// JSON record for one analyzed position. Attackers and defenders are identified by the
+// square and FEN letter of the piece; attackers carry the coverage depth they reach it at.
+export function attackRecord(analysis, label = null) {
+  const { height } = boardSize(analysis.board)
+  const describe = ({ idx }) => {
+    const piece = analysis.pieces[idx]
+    return { square: squareName(piece.row, piece.col, height), piece: pieceLetter(piece) }
+  }
+
+  const squares = {}
+  analysis.board.forEach((rowPieces, row) => rowPieces.forEach((piece, col) => {
+    const { attackers, defenders, xrays } = squareEntries(analysis.attacks[row][col])
+    squares[squareName(row, col, height)] = {
+      piece: piece ? pieceLetter(piece) : null,
+      attackers: attackers.map(a => ({ ...describe(a), depth: a.depth })),
+      defenders: defenders.map(describe),
+      ...(analysis.options.xray && {
+        xrays: xrays.map(x => ({ ...describe(x), through: squareName(...x.through, height), battery: x.battery })),
+      }),
+    }
+  }))
+
+  return {
+    ...(label && { label }),
+    fen: toFen(analysis.board, analysis.meta ?? {}),
+    depth: analysis.options.depth,
+    squares,
+  }
+}
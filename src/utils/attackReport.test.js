@@ -0,0 +1,42 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readPositions } from './attackReport.js'
+
+const GOOD_GAME = `[Event "Good"]
+
+1. e4 e5 2. Nf3 *`
+
+const BAD_FEN_GAME = `[Event "Bad"]
+[FEN "bogus"]
+
+1. e4 *`
+
+test('every position of a PGN game is read', () => {
+  const entries = readPositions(GOOD_GAME, { source: 'games.pgn' })
+  assert.equal(entries.length, 4)
+  assert.ok(entries.every(entry => entry.position && !entry.error))
+  assert.match(entries[3].label, /ply 3 \(Nf3\)$/)
+})
+
+test('a game with a bad FEN tag comes back as an error without stopping the batch', () => {
+  const entries = readPositions(`${GOOD_GAME}\n\n${BAD_FEN_GAME}`, { source: 'games.pgn', lastOnly: true })
+  assert.equal(entries.length, 2)
+  assert.ok(entries[0].position)
+  assert.equal(entries[1].position, undefined)
+  assert.match(entries[1].error, /^Invalid FEN/)
+  assert.match(entries[1].label, /^games\.pgn /)
+})
+
+test('an illegal move ends its game with an error after the positions before it', () => {
+  const entries = readPositions('1. e4 e5 2. Ke3 *', { format: 'pgn' })
+  assert.equal(entries.length, 4)
+  assert.match(entries[3].error, /at move 2\.$/)
+})
+
+test('FEN and EPD lines that cannot be read are reported per line', () => {
+  const entries = readPositions('8/8/8/8/8/8/8/K6k w - - 0 1\nnonsense\n', { source: 'list.fen' })
+  assert.equal(entries.length, 2)
+  assert.ok(entries[0].position)
+  assert.equal(entries[1].label, 'list.fen:2')
+  assert.ok(entries[1].error)
+})
@@ -0,0 +1,80 @@
+// Precomputed attack tables, indexed by square (row * width + col) and built once per
+// board size. Leapers list their target squares; sliders list one ray per direction,
+// nearest square first, so blocking is a walk along the ray that stops at the first
+// occupied square.
+// Targets are frozen [row, col] pairs shared between calls - never mutate them.
+
+const KNIGHT_OFFSETS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]]
+const KING_OFFSETS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]
+const ORTHOGONAL = [[-1, 0], [1, 0], [0, -1], [0, 1]]
+const DIAGONAL = [[-1, -1], [-1, 1], [1, -1], [1, 1]]
+
+// Board size -> its square list and standard tables
+const bySize = new Map()
+
+export function squareIndex(row, col, width) {
+  return row * width + col
+}
+
+// Numeric key of a board size, for per-size caches
+export function sizeKey({ width, height }) {
+  return width * 16 + height
+}
+
+// Frozen [row, col] pair for every square of a board size, by square index
+function squaresOf(size) {
+  return tablesFor(size).squares
+}
+
+function leaperTable(offsets, size) {
+  const squares = squaresOf(size)
+  const onBoard = (r, c) => r >= 0 && r < size.height && c >= 0 && c < size.width
+  return squares.map(([row, col]) => Object.freeze(offsets
+    .filter(([dr, dc]) => onBoard(row + dr, col + dc))
+    .map(([dr, dc]) => squares[squareIndex(row + dr, col + dc, size.width)])))
+}
+
+// One ray per direction and square, at most `range` steps long (1 = a leap)
+export function rayTable(directions, range, size) {
+  const squares = squaresOf(size)
+  const onBoard = (r, c) => r >= 0 && r < size.height && c >= 0 && c < size.width
+  return squares.map(([row, col]) => Object.freeze(directions.map(([dr, dc]) => {
+    const ray = []
+    for (let r = row + dr, c = col + dc; onBoard(r, c) && ray.length < range; r += dr, c += dc) {
+      ray.push(squares[squareIndex(r, c, size.width)])
+    }
+    return Object.freeze(ray)
+  })))
+}
+
+function tablesFor(size) {
+  const key = sizeKey(size)
+  let tables = bySize.get(key)
+  if (!tables) {
+    const squares = Array.from({ length: size.width * size.height },
+      (_, sq) => Object.freeze([Math.floor(sq / size.width), sq % size.width]))
+    tables = { squares }
+    bySize.set(key, tables)
+  }
+  return tables
+}
+
+// Tables of the standard pieces for a board size, built on first use:
+// { knight, king, pawn: { white, black }, orthogonalRays, diagonalRays }
+// with rays in the order of ORTHOGONAL and DIAGONAL
+export function attackTables(size) {
+  const tables = tablesFor(size)
+  if (!tables.knight) {
+    Object.assign(tables, {
+      knight: leaperTable(KNIGHT_OFFSETS, size),
+      king: leaperTable(KING_OFFSETS, size),
+      pawn: {
+        white: leaperTable([[-1, -1], [-1, 1]], size),
+        black: leaperTable([[1, -1], [1, 1]], size),
+      },
+      orthogonalRays: rayTable(ORTHOGONAL, Infinity, size),
+      diagonalRays: rayTable(DIAGONAL, Infinity, size),
+    })
+  }
+  return tables
+}
@@ -0,0 +1,92 @@
+// Board dimensions: files (width) by ranks (height), from 5x5 minichess up to 10x10.
+// A board carries its own size (board.length ranks of board[0].length files), so the
+// engine reads it from the board; these helpers cover everything else.
+
+export const MIN_BOARD_SIZE = 5
+export const MAX_BOARD_SIZE = 10
+
+// File letters for the widest board
+export const FILES = 'abcdefghij'.split('')
+
+export const DEFAULT_BOARD_SIZE = Object.freeze({ width: 8, height: 8 })
+
+// Sizes offered in the UI, each with its usual start position
+export const BOARD_SIZES = [
+  { id: '5x5', name: '5×5 Gardner minichess', width: 5, height: 5, startFen: 'rnbqk/ppppp/5/PPPPP/RNBQK w - - 0 1' },
+  { id: '6x6', name: '6×6 Los Alamos', width: 6, height: 6, startFen: 'rnqknr/pppppp/6/6/PPPPPP/RNQKNR w - - 0 1' },
+  { id: '8x8', name: '8×8 Standard', width: 8, height: 8, startFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' },
+  { id: '10x8', name: '10×8 Capablanca', width: 10, height: 8, startFen: 'rnabqkbcnr/pppppppppp/10/10/10/10/PPPPPPPPPP/RNABQKBCNR w KQkq - 0 1' },
+  { id: '10x10', name: '10×10 Grand chess', width: 10, height: 10, startFen: 'r8r/1nbqkcabn1/pppppppppp/10/10/10/10/PPPPPPPPPP/1NBQKCABN1/R8R w - - 0 1' },
+]
+
+export function boardSize(board) {
+  return { width: board[0]?.length ?? 0, height: board.length }
+}
+
+// "10x8" for { width: 10, height: 8 }
+export function boardSizeId({ width, height }) {
+  return `${width}x${height}`
+}
+
+export function isDefaultSize({ width, height }) {
+  return width === DEFAULT_BOARD_SIZE.width && height === DEFAULT_BOARD_SIZE.height
+}
+
+// Parse "10x8" (files x ranks). Throws on anything outside 5-10 either way.
+export function parseBoardSize(text) {
+  const match = /^\s*(\d+)\s*[x×]\s*(\d+)\s*$/i.exec(String(text ?? ''))
+  const size = match && { width: Number(match[1]), height: Number(match[2]) }
+  if (!size || !isValidSize(size)) {
+    throw new Error(`Invalid board size "${text}": expected files x ranks from ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE}, like "10x8"`)
+  }
+  return size
+}
+
+export function isValidSize({ width, height }) {
+  return [width, height].every(n => Number.isInteger(n) && n >= MIN_BOARD_SIZE && n <= MAX_BOARD_SIZE)
+}
+
+export function createEmptyBoard(size = DEFAULT_BOARD_SIZE) {
+  return Array(size.height).fill(null).map(() => Array(size.width).fill(null))
+}
+
+// The same pieces on a board of another size; squares keep their names (a1 stays a1),
+// so the board grows or shrinks at the top and on the right. Pieces that no longer fit
+// are dropped.
+export function resizeBoard(board, size) {
+  const { height } = boardSize(board)
+  return createEmptyBoard(size).map((rowPieces, row) => rowPieces.map((_, col) => {
+    const fromRow = row - size.height + height
+    return board[fromRow]?.[col] ?? null
+  }))
+}
+
+// Castling geometry: the king starts in the middle of the back rank (e-file on 8 files,
+// f-file on 10) and castles two squares towards a rook in the corner, which lands on
+// the square it crossed. Boards narrower than 8 files have no castling (null).
+export function castlingRules({ width }) {
+  if (width < 8) return null
+  const kingCol = Math.floor(width / 2)
+  return {
+    kingCol,
+    kingside: { right: 'K', rookFrom: width - 1, rookTo: width - 3, kingTo: width - 2 },
+    queenside: { right: 'Q', rookFrom: 0, rookTo: 3, kingTo: 2 },
+  }
+}
+
+// Row a pawn of this color may double-step from: its second rank, or its third on
+// boards with 10 ranks (where the pieces fill two ranks). Boards with fewer than
+// 8 ranks have no double step (null).
+export function pawnStartRow(color, { height }) {
+  if (height < 8) return null
+  const rank = height >= 10 ? 3 : 2
+  return color === 'white' ? height - rank : rank - 1
+}
+
+// Row an en passant capture lands on when `turn` is to move: the square the
+// enemy pawn crossed with its double step, or null without double steps
+export function enPassantRow(turn, size) {
+  const start = pawnStartRow(turn === 'white' ? 'black' : 'white', size)
+  if (start === null) return null
+  return turn === 'white' ? start + 1 : start - 1
+}
@@ -0,0 +1,157 @@
+// UCI engine client over a pluggable transport. A transport is any object with
+//   send(line)          write one command line to the engine
+//   onLine(callback)    call back with every line the engine writes
+//   onClose(callback)   call back once when the engine goes away (with an Error if it failed)
+//   close()
+// webSocketTransport talks to bin/uci-bridge.js, which runs the real engine;
+// createScriptedEngine (scriptedEngine.js) is an in-page stand-in needing neither.
+import { parseBestMove, parseInfoLine } from './uci.js'
+
+export const DEFAULT_BRIDGE_URL = 'ws://localhost:8765'
+export const MAX_MULTI_PV = 5
+
+// Transport over a WebSocket carrying one UCI line per text message. Lines sent before
+// the socket opens are queued.
+export function webSocketTransport(url) {
+  const socket = new WebSocket(url)
+  const queued = []
+  let lineHandler = () => {}
+  let closeHandler = () => {}
+  let opened = false
+
+  socket.onopen = () => {
+    opened = true
+    queued.splice(0).forEach(line => socket.send(line))
+  }
+  socket.onmessage = ({ data }) => {
+    String(data).split('\n').filter(line => line.trim()).forEach(line => lineHandler(line))
+  }
+  socket.onclose = ({ code, wasClean }) => {
+    closeHandler(wasClean ? null : new Error(opened
+      ? `Engine bridge at ${url} closed the connection (code ${code})`
+      : `Could not connect to an engine bridge at ${url}`))
+  }
+
+  return {
+    send(line) {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(line)
+      } else {
+        queued.push(line)
+      }
+    },
+    onLine(callback) {
+      lineHandler = callback
+    },
+    onClose(callback) {
+      closeHandler = callback
+    },
+    close() {
+      socket.close()
+    },
+  }
+}
+
+// Drive a UCI engine through a transport. Searches one position at a time: analyze()
+// during a search stops it and starts the new one once the engine has answered the stop
+// with its bestmove, so lines from the old position never leak into the new one.
+// onUpdate({ fen, lines, bestMove, done }): lines are the latest parseInfoLine result per
+//   MultiPV slot, best first; bestMove and done are set when the search finishes
+// onStatus({ status, name, error }): status is "connecting", "ready" or "closed"
+export function createEngineClient(transport, { onUpdate = () => {}, onStatus = () => {} } = {}) {
+  let status = 'connecting'
+  let name = null
+  let multiPv = 1
+  // The search the engine is running ({ fen, lines }) and the one waiting for it to stop
+  let current = null
+  let pending = null
+
+  const setStatus = (next, error = null) => {
+    status = next
+    onStatus({ status, name, error })
+  }
+
+  const start = ({ fen, multiPv: lines, depth }) => {
+    if (lines !== multiPv) {
+      multiPv = lines
+      transport.send(`setoption name MultiPV value ${lines}`)
+    }
+    transport.send(`position fen ${fen}`)
+    transport.send(depth ? `go depth ${depth}` : 'go infinite')
+    current = { fen, lines: [] }
+  }
+
+  const report = (bestMove = null) => {
+    const lines = current.lines.filter(Boolean)
+    onUpdate({ fen: current.fen, lines, bestMove, done: bestMove !== null })
+  }
+
+  transport.onLine((line) => {
+    if (status === 'connecting') {
+      if (line.startsWith('id name ')) name = line.slice('id name '.length).trim()
+      if (line.trim() === 'uciok') {
+        setStatus('ready')
+        if (pending) start(pending)
+        pending = null
+      }
+      return
+    }
+    if (!current) return
+
+    const info = parseInfoLine(line)
+    if (info && !pending) {
+      current.lines[info.multipv - 1] = info
+      report()
+      return
+    }
+    const best = parseBestMove(line)
+    if (best) {
+      if (!pending) report(best)
+      current = null
+      if (pending) start(pending)
+      pending = null
+    }
+  })
+
+  transport.onClose((error) => {
+    current = null
+    pending = null
+    setStatus('closed', error)
+  })
+
+  transport.send('uci')
+
+  return {
+    get status() {
+      return status
+    },
+    get name() {
+      return name
+    },
+    // Search a position; depth limits the search, otherwise it runs until stop()
+    analyze(fen, { multiPv: lines = 1, depth = null } = {}) {
+      if (status === 'closed') return
+      if (!Number.isInteger(lines) || lines < 1 || lines > MAX_MULTI_PV) {
+        throw new Error(`Invalid MultiPV "${lines}": expected 1 to ${MAX_MULTI_PV}`)
+      }
+      const search = { fen, multiPv: lines, depth }
+      if (status === 'connecting') {
+        pending = search
+      } else if (current) {
+        if (!pending) transport.send('stop')
+        pending = search
+      } else {
+        start(search)
+      }
+    },
+    stop() {
+      pending = null
+      if (current) transport.send('stop')
+    },
+    close() {
+      if (status === 'closed') return
+      transport.send('quit')
+      transport.close()
+    },
+  }
+}
@@ -0,0 +1,223 @@
+// Render the board and its heat map to a standalone SVG (and PNG via a canvas),
+// using the same per-square view as the on-screen board
+import { getPieceSymbol } from './pieceLogic.js'
+import { getSquareView, getDepthOverlay, DEFAULT_VIEW_OPTIONS } from './squareView.js'
+import { boardSize, FILES } from './boardSize.js'
+
+// Layout in SVG units, matching the on-screen board (60px squares, 24px labels)
+const SQUARE = 60
+const MARGIN = 24
+
+const SQUARE_COLORS = {
+  normal: { light: '#f0d9b5', dark: '#b58863' },
+  lowContrast: { light: '#e0e0e0', dark: '#c0c0c0' },
+}
+
+const FONT_FAMILY = "'Segoe UI Symbol', 'Noto Sans Symbols 2', 'DejaVu Sans', 'Inter', sans-serif"
+
+export const DEFAULT_EXPORT_SIZE = 600
+
+// Attack indicator (distinct mode): solid square, diagonal split or pie segments
+function attackIndicatorSvg(attackers, pieces, cx, cy, size) {
+  const colors = attackers.map(a => pieces[a.idx]?.displayColor)
+  const x = cx - size / 2
+  const y = cy - size / 2
+  const allBlack = attackers.every(a => a.color === 'black')
+  const attrs = allBlack ? ' opacity="0.3" filter="url(#desaturate)"' : ''
+
+  let shapes
+  if (colors.length === 1) {
+    shapes = `<rect x="${x}" y="${y}" width="${size}" height="${size}" fill="${colors[0]}"/>`
+  } else if (colors.length === 2) {
+    shapes = `<polygon points="${x},${y} ${x + size},${y} ${x},${y + size}" fill="${colors[0]}"/>` +
+      `<polygon points="${x + size},${y} ${x + size},${y + size} ${x},${y + size}" fill="${colors[1]}"/>`
+  } else {
+    // Pie wedges clockwise from 12 o'clock, like the CSS conic-gradient
+    const r = size
+    shapes = colors.map((color, i) => {
+      const a0 = (i / colors.length) * 2 * Math.PI
+      const a1 = ((i + 1) / colors.length) * 2 * Math.PI
+      const p0 = [cx + r * Math.sin(a0), cy - r * Math.cos(a0)]
+      const p1 = [cx + r * Math.sin(a1), cy - r * Math.cos(a1)]
+      const large = a1 - a0 > Math.PI ? 1 : 0
+      return `<path d="M${cx},${cy} L${p0[0].toFixed(2)},${p0[1].toFixed(2)} A${r},${r} 0 ${large} 1 ${p1[0].toFixed(2)},${p1[1].toFixed(2)} Z" fill="${color}"/>`
+    }).join('')
+    // A nested <svg> clips the wedges to the indicator square
+    shapes = `<svg x="${x}" y="${y}" width="${size}" height="${size}" viewBox="${x} ${y} ${size} ${size}">${shapes}</svg>`
+  }
+  return `<g${attrs}>${shapes}</g>`
+}
+
+function squareSvg({ board, attacks, pieces }, row, col, x, y, options) {
+  const piece = board[row][col]
+  const palette = options.lowContrast ? SQUARE_COLORS.lowContrast : SQUARE_COLORS.normal
+  const isLight = (row + col) % 2 === 0
+  const view = getSquareView(attacks, row, col, options)
+  const cx = x + SQUARE / 2
+  const cy = y + SQUARE / 2
+  const parts = []
+
+  // Heat color replaces the square color; squares only black reaches are faded
+  parts.push(`<rect x="${x}" y="${y}" width="${SQUARE}" height="${SQUARE}" fill="${view.heatColor || (isLight ? palette.light : palette.dark)}"/>`)
+
+  // Shallowest deeper coverage depth: dashed for +1 move, dotted beyond, fading with depth
+  const nearestLevel = view.deeperLevels[0]
+  if (nearestLevel) {
+    const { dashed, borderOpacity, fill, fillOpacity } = getDepthOverlay(nearestLevel.depth, nearestLevel.attackers.length, options.distinctMode)
+    parts.push(`<rect x="${x + 1.5}" y="${y + 1.5}" width="${SQUARE - 3}" height="${SQUARE - 3}" fill="${fill || 'none'}" fill-opacity="${fillOpacity.toFixed(2)}" stroke="#fff" stroke-opacity="${borderOpacity.toFixed(2)}" stroke-width="3" stroke-dasharray="${dashed ? '6 4' : '2 3'}"/>`)
+  }
+
+  if (piece) {
+    if (options.selectedPieces.has(piece.pieceIndex)) {
+      parts.push(`<rect x="${x + 3.5}" y="${y + 3.5}" width="${SQUARE - 7}" height="${SQUARE - 7}" rx="8" fill="#22c55e" fill-opacity="0.2" stroke="#22c55e" stroke-width="3"/>`)
+    }
+    const fill = piece.color === 'white' ? '#ffffff' : '#1a1a1a'
+    parts.push(`<text x="${cx}" y="${cy}" font-size="48" text-anchor="middle" dominant-baseline="central" fill="${fill}" stroke="#000" stroke-width="2" paint-order="stroke">${getPieceSymbol(piece.type, piece.color)}</text>`)
+    parts.push(`<circle cx="${cx}" cy="${cy}" r="6" fill="${pieces[piece.pieceIndex]?.displayColor}" stroke="#000" stroke-opacity="0.5" stroke-width="2"/>`)
+  }
+
+  if (options.distinctMode && view.visibleDepth1Attackers.length > 0) {
+    parts.push(attackIndicatorSvg(view.visibleDepth1Attackers, pieces, cx, cy, 20))
+  } else if (options.distinctMode && nearestLevel) {
+    parts.push(`<g opacity="0.42">${attackIndicatorSvg(nearestLevel.attackers, pieces, cx, cy, 14)}</g>`)
+  }
+
+  if (view.defenders.length > 0) {
+    // Shield drawn as a path so the file doesn't depend on an emoji font
+    const sx = x + 3
+    const sy = y + SQUARE - 16
+    parts.push(`<path d="M${sx},${sy + 2} L${sx + 6},${sy} L${sx + 12},${sy + 2} L${sx + 12},${sy + 7} C${sx + 12},${sy + 10} ${sx + 9},${sy + 12} ${sx + 6},${sy + 14} C${sx + 3},${sy + 12} ${sx},${sy + 10} ${sx},${sy + 7} Z" fill="#60a5fa" stroke="#1e3a8a" stroke-width="1.2"/>`)
+    if (view.defenders.length > 1) {
+      parts.push(`<text x="${x + 17}" y="${y + SQUARE - 3}" font-size="10" font-weight="700" fill="#22c55e" stroke="#000" stroke-width="1.5" paint-order="stroke">${view.defenders.length}</text>`)
+    }
+  }
+
+  if (view.isContested) {
+    parts.push(`<rect x="${x + 1.5}" y="${y + 1.5}" width="${SQUARE - 3}" height="${SQUARE - 3}" fill="none" stroke="#fbbf24" stroke-width="3" stroke-dasharray="6 3"/>`)
+    // Each side's count sits on that side of the board
+    const flipped = options.orientation === 'black'
+    const counts = [
+      { value: flipped ? view.rawWhiteAttackers : view.rawBlackAttackers, top: true, white: flipped },
+      { value: flipped ? view.rawBlackAttackers : view.rawWhiteAttackers, top: false, white: !flipped },
+    ]
+    counts.forEach(({ value, top, white }) => {
+      const by = top ? y + 2 : y + SQUARE - 16
+      parts.push(`<rect x="${cx - 8}" y="${by}" width="16" height="14" rx="3" fill="${white ? '#fff' : '#000'}" fill-opacity="${white ? 0.9 : 0.7}"/>`)
+      parts.push(`<text x="${cx}" y="${by + 7}" font-size="11" font-weight="700" text-anchor="middle" dominant-baseline="central" fill="${white ? '#1a1a1a' : '#a0a0a0'}">${value}</text>`)
+    })
+  } else if (options.showAttackCounts && view.totalAttackers > 0) {
+    parts.push(`<circle cx="${x + SQUARE - 11}" cy="${y + 10}" r="8" fill="#000" fill-opacity="0.6"/>`)
+    parts.push(`<text x="${x + SQUARE - 11}" y="${y + 10}" font-size="11" font-weight="700" text-anchor="middle" dominant-baseline="central" fill="#fff">${view.totalAttackers}</text>`)
+  }
+
+  const faded = view.heatColor && view.allVisibleBlack
+  return faded
+    ? `<g opacity="0.3" filter="url(#desaturate)">${parts.join('')}</g>`
+    : parts.join('')
+}
+
+// Standalone SVG markup for an analyzePosition result. options are the board's display
+// toggles (see DEFAULT_VIEW_OPTIONS) plus orientation, lowContrast, showAttackCounts and
+// size (pixels along the longer side of the board); the coverage depth is the one the
+// position was analyzed at.
+export function renderBoardSvg(analysis, options = {}) {
+  const opts = {
+    orientation: 'white',
+    lowContrast: false,
+    showAttackCounts: false,
+    size: DEFAULT_EXPORT_SIZE,
+    ...DEFAULT_VIEW_OPTIONS,
+    ...options,
+    coverageDepth: analysis.options.depth,
+  }
+  const { width, height } = boardSize(analysis.board)
+  const totalWidth = width * SQUARE + MARGIN * 2
+  const totalHeight = height * SQUARE + MARGIN * 2
+  const pixels = imagePixels({ width, height }, opts.size)
+  const displayOrder = count => {
+    const order = Array.from({ length: count }, (_, i) => i)
+    return opts.orientation === 'black' ? order.reverse() : order
+  }
+  const rowOrder = displayOrder(height)
+  const colOrder = displayOrder(width)
+
+  const squares = []
+  rowOrder.forEach((row, displayRow) => {
+    colOrder.forEach((col, displayCol) => {
+      squares.push(squareSvg(analysis, row, col, MARGIN + displayCol * SQUARE, MARGIN + displayRow * SQUARE, opts))
+    })
+  })
+
+  const labels = []
+  const label = (x, y, text) =>
+    `<text x="${x}" y="${y}" font-size="14" font-weight="600" text-anchor="middle" dominant-baseline="central" fill="#94a3b8">${text}</text>`
+  colOrder.forEach((col, display) => {
+    const along = MARGIN + display * SQUARE + SQUARE / 2
+    labels.push(label(along, MARGIN / 2, FILES[col]), label(along, totalHeight - MARGIN / 2, FILES[col]))
+  })
+  rowOrder.forEach((row, display) => {
+    const along = MARGIN + display * SQUARE + SQUARE / 2
+    labels.push(label(MARGIN / 2, along, height - row), label(totalWidth - MARGIN / 2, along, height - row))
+  })
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${pixels.width}" height="${pixels.height}" viewBox="0 0 ${totalWidth} ${totalHeight}" font-family="${FONT_FAMILY}">`,
+    '<defs><filter id="desaturate"><feColorMatrix type="saturate" values="0.3"/></filter></defs>',
+    `<rect width="${totalWidth}" height="${totalHeight}" fill="#1e293b"/>`,
+    ...squares,
+    ...labels,
+    '</svg>',
+  ].join('')
+}
+
+// Image size in pixels for a board: `size` along the longer side, the other side in
+// proportion (boards that aren't square, like 10x8)
+function imagePixels({ width, height }, size) {
+  const totalWidth = width * SQUARE + MARGIN * 2
+  const totalHeight = height * SQUARE + MARGIN * 2
+  const scale = size / Math.max(totalWidth, totalHeight)
+  return { width: Math.round(totalWidth * scale), height: Math.round(totalHeight * scale) }
+}
+
+// Rasterize SVG markup to a PNG Blob of width x height pixels (browser only)
+export function svgToPng(svg, width = DEFAULT_EXPORT_SIZE, height = width) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+    const img = new Image()
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      // A missing 2D context or a refused toBlob rejects instead of throwing in the handler
+      try {
+        const canvas = document.createElement('canvas')
+        canvas.width = width
+        canvas.height = height
+        const context = canvas.getContext('2d')
+        if (!context) throw new Error('PNG export failed: no canvas available')
+        context.drawImage(img, 0, 0, width, height)
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG export failed')), 'image/png')
+      } catch (err) {
+        reject(err)
+      }
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('PNG export failed: could not load the SVG'))
+    }
+    img.src = url
+  })
+}
+
+// Export an analyzePosition result as an SVG or PNG Blob
+export async function exportBoardImage(analysis, { format = 'svg', size = DEFAULT_EXPORT_SIZE, ...options } = {}) {
+  if (format !== 'svg' && format !== 'png') {
+    throw new Error(`Invalid export format "${format}": expected "svg" or "png"`)
+  }
+  if (!Number.isFinite(size) || size <= 0) {
+    throw new Error(`Invalid export size "${size}": expected a positive number of pixels`)
+  }
+  const svg = renderBoardSvg(analysis, { ...options, size })
+  const pixels = imagePixels(boardSize(analysis.board), size)
+  return format === 'svg'
+    ? new Blob([svg], { type: 'image/svg+xml' })
+    : svgToPng(svg, pixels.width, pixels.height)
+}
@@ -0,0 +1,253 @@
+// FEN parsing/serializing shared by the URL params, the FEN input and window.ChessViz.
+// Piece letters come from the piece definitions, so fairy pieces have FEN letters too
+// (lowercase = black, uppercase = white). Boards from 5x5 to 10x10 are read and written;
+// their size comes from the placement field.
+import { getPieceDefinition, pieceTypeForLetter } from './pieceDefinitions.js'
+import {
+  boardSize, castlingRules, createEmptyBoard, enPassantRow, isValidSize,
+  BOARD_SIZES, DEFAULT_BOARD_SIZE, FILES, MAX_BOARD_SIZE, MIN_BOARD_SIZE,
+} from './boardSize.js'
+
+export const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'
+
+// Position state that is not visible on the board itself
+export const DEFAULT_POSITION_META = {
+  turn: 'white',
+  castling: 'KQkq',
+  enPassant: null,
+  halfmove: 0,
+  fullmove: 1,
+}
+
+// FEN letter for a piece: uppercase for white, lowercase for black
+export function pieceLetter({ type, color }) {
+  const letter = getPieceDefinition(type)?.letter || '?'
+  return color === 'white' ? letter.toUpperCase() : letter
+}
+
+// Convert a square name like "e4" (or "j10") to [row, col], or null if it is not on
+// a board of this size
+export function parseSquare(square, { width, height } = DEFAULT_BOARD_SIZE) {
+  const match = typeof square === 'string' && /^([a-z])(\d{1,2})$/i.exec(square)
+  if (!match) return null
+  const col = FILES.indexOf(match[1].toLowerCase())
+  const rank = Number(match[2])
+  if (col === -1 || col >= width || !(rank >= 1 && rank <= height)) return null
+  return [height - rank, col]
+}
+
+// Convert [row, col] to a square name like "e4", counting ranks from the bottom of a
+// board with `height` ranks
+export function squareName(row, col, height = DEFAULT_BOARD_SIZE.height) {
+  return `${FILES[col]}${height - row}`
+}
+
+// Parse a FEN string into a board plus position meta.
+// Trailing fields (side to move, castling, en passant, clocks) are optional and
+// fall back to defaults; anything present but malformed throws an Error.
+export function parseFen(fen) {
+  if (typeof fen !== 'string' || !fen.trim()) {
+    throw new Error('Invalid FEN: empty input')
+  }
+
+  const fields = fen.trim().split(/\s+/)
+  if (fields.length > 6) {
+    throw new Error(`Invalid FEN: expected at most 6 fields, got ${fields.length}`)
+  }
+  const [placement, turnField = 'w', castlingField = '-', epField = '-', halfField = '0', fullField = '1'] = fields
+
+  const rows = placement.split('/')
+  if (rows.length < MIN_BOARD_SIZE || rows.length > MAX_BOARD_SIZE) {
+    throw new Error(`Invalid FEN: expected ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE} ranks, got ${rows.length}`)
+  }
+
+  // Empty-square counts may have two digits ("10") on wide boards
+  const ranks = rows.map((rowStr, row) => {
+    const rank = rows.length - row
+    const squares = []
+    for (const [token] of rowStr.matchAll(/\d+|./g)) {
+      if (/^\d+$/.test(token) && Number(token) >= 1) {
+        squares.push(...Array(Math.min(Number(token), MAX_BOARD_SIZE + 1)).fill(null))
+      } else if (pieceTypeForLetter(token)) {
+        squares.push(token)
+      } else {
+        throw new Error(`Invalid FEN: unexpected character "${token}" on rank ${rank}`)
+      }
+      if (squares.length > MAX_BOARD_SIZE) {
+        throw new Error(`Invalid FEN: rank ${rank} has more than ${MAX_BOARD_SIZE} squares`)
+      }
+    }
+    return squares
+  })
+
+  const size = { width: ranks[0].length, height: ranks.length }
+  ranks.forEach((squares, row) => {
+    if (squares.length !== size.width) {
+      throw new Error(`Invalid FEN: rank ${size.height - row} has ${squares.length} squares instead of ${size.width}`)
+    }
+  })
+  if (!isValidSize(size)) {
+    throw new Error(`Invalid FEN: expected ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE} files, got ${size.width}`)
+  }
+
+  const board = createEmptyBoard(size)
+  let pieceIndex = 0
+  ranks.forEach((squares, row) => squares.forEach((ch, col) => {
+    if (!ch) return
+    board[row][col] = {
+      type: pieceTypeForLetter(ch),
+      color: ch === ch.toUpperCase() ? 'white' : 'black',
+      pieceIndex: pieceIndex++,
+    }
+  }))
+
+  if (turnField !== 'w' && turnField !== 'b') {
+    throw new Error(`Invalid FEN: side to move must be "w" or "b", got "${turnField}"`)
+  }
+
+  if (castlingField !== '-' && !/^K?Q?k?q?$/.test(castlingField)) {
+    throw new Error(`Invalid FEN: bad castling field "${castlingField}"`)
+  }
+
+  let enPassant = null
+  if (epField !== '-') {
+    const coords = parseSquare(epField, size)
+    if (!coords || coords[0] !== enPassantRow(turnField === 'w' ? 'white' : 'black', size)) {
+      throw new Error(`Invalid FEN: bad en passant square "${epField}"`)
+    }
+    enPassant = epField.toLowerCase()
+  }
+
+  const halfmove = Number(halfField)
+  const fullmove = Number(fullField)
+  if (!Number.isInteger(halfmove) || halfmove < 0) {
+    throw new Error(`Invalid FEN: bad halfmove clock "${halfField}"`)
+  }
+  if (!Number.isInteger(fullmove) || fullmove < 1) {
+    throw new Error(`Invalid FEN: bad fullmove number "${fullField}"`)
+  }
+
+  return {
+    board,
+    nextIndex: pieceIndex,
+    meta: {
+      turn: turnField === 'w' ? 'white' : 'black',
+      castling: castlingField === '-' ? '' : castlingField,
+      enPassant,
+      halfmove,
+      fullmove,
+    },
+  }
+}
+
+// Parse an EPD line: the first four FEN fields followed by operations such as
+// `bm Nf3; id "WAC.001";`. The hmvc and fmvn operations set the clocks.
+// Returns parseFen's result plus operations ({ opcode: operand }, quotes removed).
+export function parseEpd(line) {
+  const match = /^\s*(\S+)\s+(\S+)\s+(\S+)\s+(\S+)\s*(.*)$/.exec(line ?? '')
+  if (!match) {
+    throw new Error('Invalid EPD: expected placement, side to move, castling and en passant fields')
+  }
+  const [, placement, turn, castling, enPassant, rest] = match
+
+  const operations = {}
+  for (const [, opcode, operand] of rest.matchAll(/([A-Za-z]\w*)\s*((?:"[^"]*"|[^;"])*);?/g)) {
+    const value = operand.trim()
+    operations[opcode] = /^"[^"]*"$/.test(value) ? value.slice(1, -1) : value
+  }
+
+  const clocks = [operations.hmvc || '0', operations.fmvn || '1']
+  return { ...parseFen([placement, turn, castling, enPassant, ...clocks].join(' ')), operations }
+}
+
+// Only keep castling rights whose king and rook are still on their home squares
+// (none on boards narrower than 8 files)
+export function validCastling(board, castling = '') {
+  const size = boardSize(board)
+  const rules = castlingRules(size)
+  if (!rules) return ''
+  const homes = {
+    K: { row: size.height - 1, rookCol: rules.kingside.rookFrom, color: 'white' },
+    Q: { row: size.height - 1, rookCol: rules.queenside.rookFrom, color: 'white' },
+    k: { row: 0, rookCol: rules.kingside.rookFrom, color: 'black' },
+    q: { row: 0, rookCol: rules.queenside.rookFrom, color: 'black' },
+  }
+  return [...castling].filter(right => {
+    const home = homes[right]
+    if (!home) return false
+    const king = board[home.row][rules.kingCol]
+    const rook = board[home.row][home.rookCol]
+    return king?.type === 'king' && king.color === home.color &&
+      rook?.type === 'rook' && rook.color === home.color
+  }).join('')
+}
+
+// Start position of a board size: its preset's start FEN (see BOARD_SIZES), or an empty
+// board for sizes without one. Same shape as parseFen's result.
+export function startPosition(size = DEFAULT_BOARD_SIZE) {
+  const preset = BOARD_SIZES.find(s => s.width === size.width && s.height === size.height)
+  if (preset) return parseFen(preset.startFen)
+  return { board: createEmptyBoard(size), nextIndex: 0, meta: { ...DEFAULT_POSITION_META, castling: '' } }
+}
+
+// Serialize a board (plus optional position meta) to a FEN string
+export function toFen(board, meta = {}) {
+  const { turn, castling, enPassant, halfmove, fullmove } = { ...DEFAULT_POSITION_META, ...meta }
+
+  const placement = board.map(row => {
+    let str = ''
+    let empty = 0
+    for (const piece of row) {
+      if (!piece) {
+        empty++
+        continue
+      }
+      if (empty) {
+        str += empty
+        empty = 0
+      }
+      str += pieceLetter(piece)
+    }
+    return empty ? str + empty : str
+  }).join('/')
+
+  return [
+    placement,
+    turn === 'black' ? 'b' : 'w',
+    validCastling(board, castling) || '-',
+    enPassant || '-',
+    halfmove,
+    fullmove,
+  ].join(' ')
+}
+
+// Parse the compact "Ke1,qd8,Pe4" piece list used by ?pieces= and ChessViz.setPieces
+// onto an empty board of the given size. Uppercase = white, lowercase = black.
+// Throws on any malformed entry or square off the board.
+export function parsePieceList(piecesStr, size = DEFAULT_BOARD_SIZE) {
+  if (typeof piecesStr !== 'string') {
+    throw new Error('Invalid piece list: expected a string like "Ke1,qd8"')
+  }
+
+  const board = createEmptyBoard(size)
+  let pieceIndex = 0
+  piecesStr.split(',').forEach(entry => {
+    const piece = entry.trim()
+    if (!piece) return
+
+    const type = pieceTypeForLetter(piece[0])
+    const coords = parseSquare(piece.slice(1), size)
+    if (!type || !coords) {
+      throw new Error(`Invalid piece "${piece}": expected a piece letter and square like "Ke1"`)
+    }
+
+    const [row, col] = coords
+    board[row][col] = {
+      type,
+      color: piece[0] === piece[0].toUpperCase() ? 'white' : 'black',
+      pieceIndex: pieceIndex++,
+    }
+  })
+
+  return { board, nextIndex: pieceIndex }
+}
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseEpd, parseFen, parsePieceList, parseSquare, squareName, toFen, START_FEN } from './fen.js'
+
+test('FEN round-trips through parse and serialize', () => {
+  for (const fen of [
+    START_FEN,
+    'r3k2r/8/8/3pP3/8/8/8/R3K2R w KQkq d6 0 20',
+    '4k3/8/8/8/8/8/8/4K3 b - - 12 40',
+  ]) {
+    const { board, meta } = parseFen(fen)
+    assert.equal(toFen(board, meta), fen)
+  }
+})
+
+test('missing trailing fields fall back to defaults', () => {
+  const { meta } = parseFen('4k3/8/8/8/8/8/8/4K3')
+  assert.equal(meta.turn, 'white')
+  assert.equal(meta.castling, '')
+  assert.equal(meta.enPassant, null)
+})
+
+test('malformed FEN is rejected with a description', () => {
+  assert.throws(() => parseFen(''), /^Error: Invalid FEN: empty input$/)
+  assert.throws(() => parseFen('bogus'), /^Error: Invalid FEN: expected 5 to 10 ranks, got 1$/)
+  assert.throws(() => parseFen('8/8/8/8/8/8/8/8 x'), /^Error: Invalid FEN/)
+})
+
+test('squares convert both ways on any board size', () => {
+  assert.deepEqual(parseSquare('e4'), [4, 4])
+  assert.equal(squareName(4, 4), 'e4')
+  assert.deepEqual(parseSquare('j10', { width: 10, height: 10 }), [0, 9])
+  assert.equal(parseSquare('i1'), null)
+  assert.equal(parseSquare('e9'), null)
+})
+
+test('EPD operations are read and set the clocks', () => {
+  const { meta, operations } = parseEpd('4k3/8/8/8/8/8/8/4K3 w - - bm Kd2; id "test 1"; hmvc 3;')
+  assert.equal(operations.id, 'test 1')
+  assert.equal(operations.bm, 'Kd2')
+  assert.equal(meta.halfmove, 3)
+})
+
+test('piece lists place pieces and reject bad entries', () => {
+  const { board, nextIndex } = parsePieceList('Ke1, qd8')
+  assert.equal(nextIndex, 2)
+  assert.deepEqual(board[7][4], { type: 'king', color: 'white', pieceIndex: 0 })
+  assert.equal(board[0][3].color, 'black')
+  assert.throws(() => parsePieceList('Ye4'), /^Error: Invalid piece "Ye4"/)
+  assert.throws(() => parsePieceList('Kz9'), /^Error: Invalid piece "Kz9"/)
+})
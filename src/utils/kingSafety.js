@@ -0,0 +1,114 @@
+// King safety from the per-square attackers of calculateAllAttacks: the zone around each
+// king, the enemy pieces bearing on it and their attack weight, the king's flight
+// squares, and check, double check and checkmate as the position stands.
+import { calculateAllAttacks, getLegalMoves, isSquareAttacked, opponent, pieceValue, PIECE_TYPES } from './pieceLogic.js'
+
+// Flight square states: free to go to, covered by the enemy, or taken by an own piece
+export const FLIGHT_STATUS = {
+  SAFE: 'safe',
+  ATTACKED: 'attacked',
+  BLOCKED: 'blocked',
+}
+
+// Attack weight of one piece hitting one zone square: half its material value, at least 1
+// (pawn 1, knight and bishop 2, rook 3, queen 5); an enemy king counts 1
+export function kingAttackWeight(type) {
+  if (type === PIECE_TYPES.KING) return 1
+  return Math.max(1, Math.round(pieceValue(type) / 2))
+}
+
+// Squares next to [row, col] that are on the board
+function neighbours(board, row, col) {
+  const squares = []
+  for (let dr = -1; dr <= 1; dr++) {
+    for (let dc = -1; dc <= 1; dc++) {
+      const r = row + dr
+      const c = col + dc
+      if ((dr || dc) && board[r]?.[c] !== undefined) squares.push([r, c])
+    }
+  }
+  return squares
+}
+
+// Safety of every king on the board, white's first:
+// [{
+//   color, row, col,
+//   zone: [[row, col], ...]  the king's square and the squares around it,
+//   attackers: [{ idx, type, row, col, squares, weight }]  enemy pieces hitting the zone
+//     (squares: how many zone squares, weight: kingAttackWeight x squares), heaviest first,
+//   attackWeight: sum of the attackers' weights,
+//   flights: [{ row, col, status }]  the squares around the king (FLIGHT_STATUS),
+//   checkers: [{ idx, type, row, col }], check, doubleCheck,
+//   checkmate: in check with no legal move, whoever's turn it is
+// }]
+// attacks is calculateAllAttacks output (or a depth result - only depth 1 is used).
+// meta (castling, en passant) only matters for the legal moves that decide checkmate.
+export function getKingSafety(board, meta = null, attacks = calculateAllAttacks(board)) {
+  // pieceIndex -> piece and square, to describe attackers
+  const byIndex = new Map()
+  const kings = []
+  board.forEach((rowPieces, row) => rowPieces.forEach((piece, col) => {
+    if (!piece) return
+    byIndex.set(piece.pieceIndex ?? 0, { piece, row, col })
+    if (piece.type === PIECE_TYPES.KING) kings.push({ color: piece.color, row, col })
+  }))
+  kings.sort((a, b) => (a.color === 'white' ? 0 : 1) - (b.color === 'white' ? 0 : 1))
+
+  const describe = (idx) => {
+    const { piece, row, col } = byIndex.get(idx)
+    return { idx, type: piece.type, row, col }
+  }
+
+  return kings.map(({ color, row, col }) => {
+    const enemy = opponent(color)
+    // Enemy pieces reaching a square, whether it is empty or holds one of theirs
+    const enemyOn = (r, c) => {
+      const cell = attacks[r][c].byDepth?.[1] ?? attacks[r][c]
+      return [...cell.attackers, ...cell.defenders].filter(a => a.color === enemy && byIndex.has(a.idx))
+    }
+
+    const zone = [[row, col], ...neighbours(board, row, col)]
+    const hits = new Map()
+    for (const [r, c] of zone) {
+      for (const { idx } of enemyOn(r, c)) hits.set(idx, (hits.get(idx) ?? 0) + 1)
+    }
+    const attackers = [...hits].map(([idx, squares]) => {
+      const attacker = describe(idx)
+      return { ...attacker, squares, weight: kingAttackWeight(attacker.type) * squares }
+    }).sort((a, b) => b.weight - a.weight)
+
+    // Sliders checking the king also cover the squares behind it, so flights are
+    // judged with the king lifted off the board
+    const withoutKing = board.map(r => [...r])
+    withoutKing[row][col] = null
+    const flights = neighbours(board, row, col).map(([r, c]) => {
+      let status = FLIGHT_STATUS.SAFE
+      if (board[r][c]?.color === color) {
+        status = FLIGHT_STATUS.BLOCKED
+      } else if (enemyOn(r, c).length || isSquareAttacked(withoutKing, r, c, enemy)) {
+        status = FLIGHT_STATUS.ATTACKED
+      }
+      return { row: r, col: c, status }
+    })
+
+    const checkers = enemyOn(row, col).map(({ idx }) => describe(idx))
+    const check = checkers.length > 0
+
+    // The en passant square is only the side to move's
+    const sideMeta = { ...meta, turn: color, enPassant: meta?.turn === color ? meta.enPassant : null }
+
+    return {
+      color,
+      row,
+      col,
+      zone,
+      attackers,
+      attackWeight: attackers.reduce((sum, a) => sum + a.weight, 0),
+      flights,
+      checkers,
+      check,
+      doubleCheck: checkers.length > 1,
+      checkmate: check && getLegalMoves(board, sideMeta, color).length === 0,
+    }
+  })
+}
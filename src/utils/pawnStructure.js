@@ -0,0 +1,120 @@
+// Pawn structure per side: passed, isolated, doubled and backward pawns, pawn islands,
+// and the squares pawns can never attack again (holes in a side's own camp, outposts
+// in the opponent's). "Ever" follows each pawn's attack span: the squares it attacks from
+// where it stands and from every square ahead of it on its file, as getAttackedSquares
+// gives them, whether or not the way is free today.
+import { getAttackedSquares, opponent, PIECE_TYPES } from './pieceLogic.js'
+import { boardSize, pawnStartRow } from './boardSize.js'
+import { isOpponentHalf } from './positionStats.js'
+
+const SIDES = ['white', 'black']
+
+// Row step of a side's pawns
+function forward(color) {
+  return color === 'white' ? -1 : 1
+}
+
+// Is row a ahead of row b for a pawn of this color?
+function isAhead(color, a, b) {
+  return (a - b) * forward(color) > 0
+}
+
+// Squares a pawn attacks from [row, col] and from every square ahead of it up to the
+// rank before its last, keyed "row-col"
+function attackSpan(pawn, row, col, board) {
+  const { height } = boardSize(board)
+  const lastRow = pawn.color === 'white' ? 1 : height - 2
+  const span = new Set()
+  for (let r = row; pawn.color === 'white' ? r >= lastRow : r <= lastRow; r += forward(pawn.color)) {
+    getAttackedSquares(pawn, r, col, board).forEach(([ar, ac]) => span.add(`${ar}-${ac}`))
+  }
+  return span
+}
+
+// Groups of neighbouring files holding pawns, each a sorted list of columns
+function pawnIslands(cols) {
+  const islands = []
+  ;[...new Set(cols)].sort((a, b) => a - b).forEach(col => {
+    const last = islands[islands.length - 1]
+    if (last && col === last[last.length - 1] + 1) {
+      last.push(col)
+    } else {
+      islands.push([col])
+    }
+  })
+  return islands
+}
+
+// Pawn structure of both sides:
+// {
+//   white / black: {
+//     pawns: [{ row, col, passed, isolated, doubled, backward, island }] in board order,
+//       island is the index into islands,
+//     islands: [[col, ...]] groups of neighbouring files with pawns, queenside first,
+//     holes: [[row, col]] squares in the side's own half, ahead of its pawns' starting
+//       rank, that none of its pawns can ever attack,
+//     outposts: [[row, col]] squares in the opponent's half that no enemy pawn can ever
+//       attack and that one of the side's pawns attacks now,
+//   }
+// }
+// Passed: no enemy pawn ahead on its own or a neighbouring file. Isolated: no own pawn on
+// a neighbouring file. Doubled: another own pawn on its file. Backward: not isolated, every
+// own pawn on a neighbouring file is ahead of it, and an enemy pawn guards the square in
+// front of it.
+export function getPawnStructure(board) {
+  const size = boardSize(board)
+  const pawns = { white: [], black: [] }
+  board.forEach((rowPieces, row) => rowPieces.forEach((piece, col) => {
+    if (piece?.type === PIECE_TYPES.PAWN) pawns[piece.color].push({ piece, row, col })
+  }))
+
+  // Pawn attack spans and current pawn attacks per side, keyed "row-col"
+  const spans = {}
+  const guarded = {}
+  for (const side of SIDES) {
+    spans[side] = new Set()
+    guarded[side] = new Set()
+    pawns[side].forEach(({ piece, row, col }) => {
+      attackSpan(piece, row, col, board).forEach(key => spans[side].add(key))
+      getAttackedSquares(piece, row, col, board).forEach(([r, c]) => guarded[side].add(`${r}-${c}`))
+    })
+  }
+
+  return Object.fromEntries(SIDES.map(side => {
+    const enemy = opponent(side)
+    const islands = pawnIslands(pawns[side].map(p => p.col))
+
+    const sidePawns = pawns[side].map(({ row, col }) => {
+      const neighbours = pawns[side].filter(p => Math.abs(p.col - col) === 1)
+      const isolated = neighbours.length === 0
+      const stop = row + forward(side)
+      return {
+        row,
+        col,
+        passed: !pawns[enemy].some(p => Math.abs(p.col - col) <= 1 && isAhead(side, p.row, row)),
+        isolated,
+        doubled: pawns[side].some(p => p.col === col && p.row !== row),
+        backward: !isolated
+          && neighbours.every(p => isAhead(side, p.row, row))
+          && guarded[enemy].has(`${stop}-${col}`),
+        island: islands.findIndex(island => island.includes(col)),
+      }
+    })
+
+    // Holes only count ahead of the starting rank, which own pawns could never reach anyway
+    const home = pawnStartRow(side, size) ?? (side === 'white' ? size.height - 2 : 1)
+    const holes = []
+    const outposts = []
+    board.forEach((rowPieces, row) => rowPieces.forEach((_, col) => {
+      const key = `${row}-${col}`
+      if (isOpponentHalf(row, enemy, size) && isAhead(side, row, home) && !spans[side].has(key)) {
+        holes.push([row, col])
+      }
+      if (isOpponentHalf(row, side, size) && !spans[enemy].has(key) && guarded[side].has(key)) {
+        outposts.push([row, col])
+      }
+    }))
+
+    return [side, { pawns: sidePawns, islands, holes, outposts }]
+  }))
+}
@@ -0,0 +1,165 @@
+// PGN parsing and SAN move replay for stepping through games
+import { getLegalMoves, makeMove } from './pieceLogic.js'
+import { parseFen, parseSquare, START_FEN } from './fen.js'
+import { boardSize } from './boardSize.js'
+
+const SAN_PIECES = { K: 'king', Q: 'queen', R: 'rook', B: 'bishop', N: 'knight' }
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*']
+
+// Split PGN text into games: [{ headers, moves: [san...], result }]
+// Comments, NAGs, move numbers and (nested) variations are skipped.
+export function parsePgn(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Invalid PGN: empty input')
+  }
+
+  const games = []
+  let game = null
+  const startGame = () => {
+    game = { headers: {}, moves: [], result: '*' }
+    games.push(game)
+  }
+
+  // "%" at the start of a line is an escape and the rest of the line is ignored
+  const source = text.replace(/^%.*$/gm, '')
+  let i = 0
+  let variationDepth = 0
+
+  while (i < source.length) {
+    const ch = source[i]
+
+    if (/\s/.test(ch)) {
+      i++
+    } else if (ch === '{') {
+      const end = source.indexOf('}', i)
+      if (end === -1) throw new Error('Invalid PGN: unterminated { comment')
+      i = end + 1
+    } else if (ch === ';') {
+      const end = source.indexOf('\n', i)
+      i = end === -1 ? source.length : end + 1
+    } else if (ch === '(') {
+      variationDepth++
+      i++
+    } else if (ch === ')') {
+      if (variationDepth === 0) throw new Error('Invalid PGN: unmatched ")"')
+      variationDepth--
+      i++
+    } else if (ch === '[' && variationDepth === 0) {
+      const end = source.indexOf(']', i)
+      if (end === -1) throw new Error('Invalid PGN: unterminated [ tag')
+      const match = source.slice(i + 1, end).match(/^\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*$/)
+      if (!match) throw new Error(`Invalid PGN: bad tag "${source.slice(i, end + 1)}"`)
+      // A tag after moves means a new game started without a result token
+      if (!game || game.moves.length > 0) startGame()
+      game.headers[match[1]] = match[2].replace(/\\(.)/g, '$1')
+      i = end + 1
+    } else {
+      let end = i
+      while (end < source.length && !/[\s{}();[\]]/.test(source[end])) end++
+      const token = source.slice(i, end) || source[i]
+      i = Math.max(end, i + 1)
+
+      if (variationDepth > 0) continue
+      if (RESULTS.includes(token)) {
+        if (!game) startGame()
+        game.result = token
+        game = null
+        continue
+      }
+
+      // Strip leading move numbers ("12." / "12...") and en passant marks ("exd6 e.p."),
+      // and skip NAGs ("$1")
+      const san = token.replace(/^\d+\.+/, '').replace(/e\.p\.$/, '')
+      if (!san || san.startsWith('$')) continue
+      if (!game) startGame()
+      game.moves.push(san)
+    }
+  }
+
+  if (variationDepth > 0) throw new Error('Invalid PGN: unterminated ( variation')
+  if (games.length === 0) throw new Error('Invalid PGN: no games found')
+  return games
+}
+
+// Short label for a game picker, e.g. "Carlsen vs Caruana (1-0)"
+export function describeGame(game, index) {
+  const { White, Black, Event } = game.headers
+  if (White || Black) {
+    return `${White || '?'} vs ${Black || '?'} (${game.headers.Result || game.result})`
+  }
+  return Event || `Game ${index + 1}`
+}
+
+// Resolve a SAN move ("Nbd7", "exd6", "e8=Q+", "O-O") in a position and play it.
+// Returns the new { board, meta }; throws if the move is malformed, illegal or ambiguous.
+export function applySan(board, meta, sanInput) {
+  const move = findSanMove(board, meta, sanInput)
+  return makeMove(board, meta, move)
+}
+
+// Find the legal move matching a SAN string; throws if there is none or more than one
+export function findSanMove(board, meta, sanInput) {
+  const san = sanInput.replace(/[+#!?]+$/, '')
+  const legalMoves = getLegalMoves(board, meta)
+
+  if (/^(O-O(-O)?|0-0(-0)?)$/.test(san)) {
+    const castle = san.length > 3 ? 'queenside' : 'kingside'
+    const move = legalMoves.find(m => m.castle === castle)
+    if (!move) throw new Error(`Illegal move "${sanInput}": cannot castle ${castle}`)
+    return move
+  }
+
+  const match = san.match(/^([KQRBN])?([a-j])?(10|[1-9])?(x)?([a-j](?:10|[1-9]))(?:=?([QRBN]))?$/)
+  if (!match) {
+    throw new Error(`Invalid move "${sanInput}"`)
+  }
+  const [, pieceLetter, fromFile, fromRank, , targetName, promoLetter] = match
+  const type = pieceLetter ? SAN_PIECES[pieceLetter] : 'pawn'
+  const size = boardSize(board)
+  const target = parseSquare(targetName, size)
+  if (!target) {
+    throw new Error(`Illegal move "${sanInput}": ${targetName} is not on the board`)
+  }
+  const [tr, tc] = target
+  const promotion = promoLetter ? SAN_PIECES[promoLetter] : null
+
+  const moves = legalMoves.filter(({ from, to, promotion: movePromotion = null, castle }) =>
+    !castle &&
+    board[from[0]][from[1]].type === type &&
+    to[0] === tr && to[1] === tc &&
+    (!fromFile || from[1] === fromFile.charCodeAt(0) - 97) &&
+    (!fromRank || from[0] === size.height - parseInt(fromRank)) &&
+    movePromotion === promotion
+  )
+
+  if (moves.length === 0) {
+    throw new Error(`Illegal move "${sanInput}"`)
+  }
+  if (moves.length > 1) {
+    throw new Error(`Ambiguous move "${sanInput}"`)
+  }
+  return moves[0]
+}
+
+// Replay a parsed game from its starting position (FEN tag or the standard start).
+// Returns { positions, error } where positions[0] is the start and positions[n] is after ply n.
+// On an illegal move, positions stop at the last legal ply and error explains why.
+export function replayGame(game) {
+  const start = parseFen(game.headers.FEN || START_FEN)
+  const positions = [{ board: start.board, meta: start.meta, san: null }]
+  let error = null
+
+  let { board, meta } = start
+  for (const san of game.moves) {
+    try {
+      ({ board, meta } = applySan(board, meta, san))
+    } catch (err) {
+      const moveNo = `${meta.fullmove}${meta.turn === 'white' ? '.' : '...'}`
+      error = `${err.message} at move ${moveNo}`
+      break
+    }
+    positions.push({ board, meta, san })
+  }
+
+  return { positions, error }
+}
@@ -0,0 +1,50 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toFen } from './fen.js'
+import { describeGame, parsePgn, replayGame } from './pgn.js'
+
+test('games are split with their headers, moves and result', () => {
+  const games = parsePgn(`[White "Anna"]
+[Black "Ben"]
+[Result "1-0"]
+
+1. e4 {best by test} e5 (1... c5 2. Nf3) 2. Nf3 $1 Nc6 1-0
+
+[Event "Second"]
+
+1. d4 *`)
+  assert.equal(games.length, 2)
+  assert.deepEqual(games[0].moves, ['e4', 'e5', 'Nf3', 'Nc6'])
+  assert.equal(games[0].result, '1-0')
+  assert.equal(describeGame(games[0], 0), 'Anna vs Ben (1-0)')
+  assert.equal(describeGame(games[1], 1), 'Second')
+})
+
+test('en passant marks are dropped from moves', () => {
+  const [game] = parsePgn('1. e4 d5 2. e5 f5 3. exf6 e.p. *')
+  assert.deepEqual(game.moves, ['e4', 'd5', 'e5', 'f5', 'exf6'])
+  const [joined] = parsePgn('1. e4 d5 2. e5 f5 3. exf6e.p. *')
+  assert.equal(joined.moves[4], 'exf6')
+
+  const { positions, error } = replayGame(game)
+  assert.equal(error, null)
+  assert.equal(toFen(positions[5].board, positions[5].meta), 'rnbqkbnr/ppp1p1pp/5P2/3p4/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 3')
+})
+
+test('replay starts from the FEN tag and stops at the first illegal move', () => {
+  const [game] = parsePgn('[FEN "4k3/8/8/8/8/8/8/4K2R w K - 0 1"]\n\n1. O-O Kd7 2. Rh8 *')
+  const { positions, error } = replayGame(game)
+  assert.equal(positions.length, 3)
+  assert.match(error, /at move 2\.$/)
+})
+
+test('malformed PGN is rejected', () => {
+  assert.throws(() => parsePgn(''), /^Error: Invalid PGN: empty input$/)
+  assert.throws(() => parsePgn('1. e4 {open'), /unterminated \{ comment/)
+  assert.throws(() => parsePgn('1. e4 (1. d4'), /unterminated \( variation/)
+})
+
+test('a bad FEN tag throws from replayGame', () => {
+  const [game] = parsePgn('[FEN "bogus"]\n\n1. e4 *')
+  assert.throws(() => replayGame(game), /^Error: Invalid FEN/)
+})
@@ -0,0 +1,317 @@
+// Piece definitions: how each piece type moves, described in Betza notation or as a
+// movement descriptor, and compiled into per-square ray tables that drive attack and
+// move generation. The six standard pieces are defined here too; fairy pieces
+// (archbishop, camel, grasshopper...) come built in and more can be added with definePiece.
+//
+// Movement descriptor: a list of entries, each one of
+//   { leap: [a, b] }             jumps a squares one way and b the other (knight: [2, 1])
+//   { ride: [a, b], range }      repeats that step until blocked, at most `range` times
+//   { hop: [a, b], land }        rides to the first piece and jumps over it, landing right
+//                                behind it (land: 'next', grasshopper) or anywhere up to the
+//                                next piece (land: 'any', cannon)
+// with optional
+//   only: 'move' | 'capture'     the entry only moves to empty squares / only captures
+//   directions: 'fblrvs'         forward, backward, left, right, vertical, sideways
+//                                (from the piece's own side; letters combine as a union)
+// Every entry covers all mirror images of its step unless directions narrow it down.
+import { rayTable, sizeKey, squareIndex } from './attackTables.js'
+import { MAX_BOARD_SIZE } from './boardSize.js'
+
+// Betza atoms as [forward, sideways] steps
+const BETZA_ATOMS = {
+  W: [1, 0], F: [1, 1], D: [2, 0], N: [2, 1], A: [2, 2], H: [3, 0], C: [3, 1], Z: [3, 2], G: [3, 3],
+}
+
+// Betza shorthands: leapers listed once, riders doubled
+const BETZA_COMPOUNDS = { K: 'WF', R: 'WW', B: 'FF', Q: 'WWFF' }
+
+const DIRECTION_LETTERS = 'fblrvs'
+const STANDARD_LETTERS = 'kqrbnp'
+
+// Values drive exchange evaluation; the king's is large so it never "trades"
+const STANDARD_PIECES = [
+  { type: 'king', name: 'King', letter: 'k', value: 100, betza: 'K' },
+  { type: 'queen', name: 'Queen', letter: 'q', value: 9, betza: 'Q' },
+  { type: 'rook', name: 'Rook', letter: 'r', value: 5, betza: 'R' },
+  { type: 'bishop', name: 'Bishop', letter: 'b', value: 3, betza: 'B' },
+  { type: 'knight', name: 'Knight', letter: 'n', value: 3, betza: 'N' },
+  // Double step, en passant and promotion are handled by the move generator
+  { type: 'pawn', name: 'Pawn', letter: 'p', value: 1, betza: 'mfWcfF' },
+]
+
+// Fairy pieces available from the start
+export const FAIRY_PIECES = [
+  { type: 'archbishop', name: 'Archbishop', letter: 'a', value: 7, betza: 'BN' },
+  { type: 'chancellor', name: 'Chancellor', letter: 'c', value: 8, betza: 'RN' },
+  { type: 'amazon', name: 'Amazon', letter: 'm', value: 12, betza: 'QN' },
+  { type: 'camel', name: 'Camel', letter: 'l', value: 2.5, betza: 'C' },
+  { type: 'zebra', name: 'Zebra', letter: 'z', value: 2.5, betza: 'Z' },
+  { type: 'grasshopper', name: 'Grasshopper', letter: 'g', value: 2, betza: 'gQ' },
+  { type: 'nightrider', name: 'Nightrider', letter: 'h', value: 5, betza: 'NN' },
+  { type: 'ferz', name: 'Ferz', letter: 'f', value: 1.5, betza: 'F' },
+  { type: 'wazir', name: 'Wazir', letter: 'w', value: 1.5, betza: 'W' },
+]
+
+// Material value of a piece defined without one
+const DEFAULT_VALUE = 3
+
+// type -> { definition, tables: board size key -> compiled tables }
+const registry = new Map()
+// FEN letter (lowercase) -> type
+const letters = new Map()
+let version = 0
+
+// Parse Betza notation ("BN", "mfWcfF", "gQ", "NN3") into a movement descriptor.
+// Supported: the atoms W F D N A H C Z G and K R B Q, doubled atoms for riders, a
+// trailing number for the range, and the modifiers m c (move/capture only),
+// f b l r v s (directions), g (grasshopper hop) and p (cannon hop).
+export function parseBetza(notation) {
+  if (typeof notation !== 'string' || !notation.trim()) {
+    throw new Error('Invalid Betza notation: empty input')
+  }
+  const movement = []
+  const token = /([a-z]*)([A-Z])(\2?)(\d*)/y
+  let match
+  while (token.lastIndex < notation.length) {
+    const start = token.lastIndex
+    if (!(match = token.exec(notation))) {
+      throw new Error(`Invalid Betza notation "${notation}": unexpected "${notation.slice(start)}"`)
+    }
+    const [, modifiers, atom, doubled, digits] = match
+
+    const unknown = [...modifiers].find(m => !'mcgp'.includes(m) && !DIRECTION_LETTERS.includes(m))
+    if (unknown) {
+      throw new Error(`Invalid Betza notation "${notation}": unsupported modifier "${unknown}"`)
+    }
+
+    const compound = BETZA_COMPOUNDS[atom]
+    if (!compound && !BETZA_ATOMS[atom]) {
+      throw new Error(`Invalid Betza notation "${notation}": unknown atom "${atom}"`)
+    }
+    const parts = compound ? compound.match(/(.)\1?/g) : [atom + doubled]
+
+    const only = modifiers.includes('m') === modifiers.includes('c') ? null
+      : modifiers.includes('m') ? 'move' : 'capture'
+    const directions = [...modifiers].filter(m => DIRECTION_LETTERS.includes(m)).join('')
+    const hop = modifiers.includes('g') ? 'next' : modifiers.includes('p') ? 'any' : null
+    // A number turns any atom into a rider; 0 means unlimited
+    const range = digits ? Number(digits) || Infinity : Infinity
+
+    for (const part of parts) {
+      const step = BETZA_ATOMS[part[0]]
+      const rider = part.length === 2 || doubled || digits
+      const entry = hop ? { hop: step, land: hop }
+        : rider ? { ride: step, ...(range !== Infinity && { range }) }
+          : { leap: step }
+      if (hop && !rider) {
+        throw new Error(`Invalid Betza notation "${notation}": "${modifiers}" hops need a rider such as ${part[0]}${part[0]}`)
+      }
+      movement.push({ ...entry, ...(only && { only }), ...(directions && { directions }) })
+    }
+  }
+  return movement
+}
+
+// All mirror images of a [forward, sideways] step that the direction letters allow
+function stepVariants([a, b], directions) {
+  const variants = new Map()
+  for (const [f, s] of [[a, b], [b, a]]) {
+    for (const [sf, ss] of [[1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+      variants.set(`${f * sf},${s * ss}`, [f * sf, s * ss])
+    }
+  }
+  return [...variants.values()].filter(([f, s]) => !directions || [...directions].some(d => (
+    d === 'f' ? f > 0
+      : d === 'b' ? f < 0
+        : d === 'r' ? s > 0
+          : d === 'l' ? s < 0
+            : d === 'v' ? f !== 0 && Math.abs(f) >= Math.abs(s)
+              : s !== 0 && Math.abs(s) >= Math.abs(f)
+  )))
+}
+
+function validateEntry(entry, type) {
+  const kinds = ['leap', 'ride', 'hop'].filter(kind => entry?.[kind] !== undefined)
+  const step = entry?.[kinds[0]]
+  if (kinds.length !== 1 || !Array.isArray(step) || step.length !== 2 ||
+    !step.every(n => Number.isInteger(n) && n >= 0 && n < MAX_BOARD_SIZE) || (!step[0] && !step[1])) {
+    throw new Error(`Invalid piece "${type}": each movement entry needs one of leap, ride or hop with a step like [2, 1]`)
+  }
+  if (entry.only !== undefined && entry.only !== 'move' && entry.only !== 'capture') {
+    throw new Error(`Invalid piece "${type}": only must be "move" or "capture"`)
+  }
+  if (entry.directions !== undefined && !/^[fblrvs]+$/.test(entry.directions)) {
+    throw new Error(`Invalid piece "${type}": directions must be letters from "fblrvs"`)
+  }
+  if (entry.range !== undefined && !(entry.range === Infinity || (Number.isInteger(entry.range) && entry.range > 0))) {
+    throw new Error(`Invalid piece "${type}": range must be a positive whole number`)
+  }
+  if (entry.land !== undefined && entry.land !== 'next' && entry.land !== 'any') {
+    throw new Error(`Invalid piece "${type}": land must be "next" or "any"`)
+  }
+  return kinds[0]
+}
+
+// Ray tables for one color and board size: slides (leaps are one-step rays), hops
+// landing right behind the hurdle and hops landing anywhere beyond it, each indexed
+// by square
+function compileTables(entries, color, size) {
+  // White moves up the board (towards row 0); sideways is mirrored for black
+  const toBoard = ([f, s]) => color === 'white' ? [-f, s] : [f, -s]
+  const groups = { slides: [], hops: [], screens: [] }
+  for (const entry of entries) {
+    const kind = ['leap', 'ride', 'hop'].find(k => entry[k])
+    const directions = stepVariants(entry[kind], entry.directions).map(toBoard)
+    const group = kind === 'hop' ? (entry.land === 'any' ? 'screens' : 'hops') : 'slides'
+    const range = kind === 'leap' ? 1 : kind === 'ride' ? entry.range ?? Infinity : Infinity
+    groups[group].push(rayTable(directions, range, size))
+  }
+  const merge = tables => Array.from({ length: size.width * size.height }, (_, sq) => tables.flatMap(table => table[sq]))
+  return { width: size.width, slides: merge(groups.slides), hops: merge(groups.hops), screens: merge(groups.screens) }
+}
+
+function compile(definition, size) {
+  const captures = definition.movement.filter(e => e.only !== 'move')
+  const moves = definition.movement.filter(e => e.only !== 'capture')
+  const byColor = color => {
+    const capture = compileTables(captures, color, size)
+    // Unlimited rides, which can x-ray through a blocker
+    const sliding = captures
+      .filter(e => e.ride && (e.range ?? Infinity) === Infinity)
+      .flatMap(e => stepVariants(e.ride, e.directions))
+      .map(([f, s]) => color === 'white' ? [-f, s] : [f, -s])
+    return {
+      capture,
+      // Same squares for moving and capturing: moves are the attacks minus own pieces
+      move: definition.movement.some(e => e.only) ? compileTables(moves, color, size) : capture,
+      sliding,
+    }
+  }
+  return { white: byColor('white'), black: byColor('black') }
+}
+
+function register(input, standard) {
+  const type = input?.type
+  if (typeof type !== 'string' || !/^[a-z][a-z0-9-]*$/.test(type)) {
+    throw new Error('Invalid piece: type must be a lowercase name like "archbishop"')
+  }
+  const letter = typeof input.letter === 'string' ? input.letter.toLowerCase() : ''
+  if (!/^[a-z]$/.test(letter)) {
+    throw new Error(`Invalid piece "${type}": letter must be a single letter (its FEN letter)`)
+  }
+  if (!standard) {
+    if (registry.get(type)?.definition.standard) {
+      throw new Error(`Invalid piece "${type}": the standard pieces can't be redefined`)
+    }
+    if (STANDARD_LETTERS.includes(letter)) {
+      throw new Error(`Invalid piece "${type}": letter "${letter}" belongs to a standard piece`)
+    }
+    const owner = letters.get(letter)
+    if (owner && owner !== type) {
+      throw new Error(`Invalid piece "${type}": letter "${letter}" is already used by the ${owner}`)
+    }
+  }
+  if (input.value !== undefined && !(typeof input.value === 'number' && input.value >= 0)) {
+    throw new Error(`Invalid piece "${type}": value must be a number of at least 0`)
+  }
+  if (input.movement === undefined && input.betza === undefined) {
+    throw new Error(`Invalid piece "${type}": give its moves as betza or movement`)
+  }
+
+  const movement = input.movement ?? parseBetza(input.betza)
+  if (!Array.isArray(movement) || !movement.length) {
+    throw new Error(`Invalid piece "${type}": movement must be a non-empty list`)
+  }
+  movement.forEach(entry => validateEntry(entry, type))
+
+  const definition = Object.freeze({
+    type,
+    name: input.name || type[0].toUpperCase() + type.slice(1),
+    letter,
+    symbol: input.symbol || letter.toUpperCase(),
+    value: input.value ?? DEFAULT_VALUE,
+    ...(input.betza !== undefined && { betza: input.betza }),
+    movement: Object.freeze(movement.map(entry => Object.freeze({ ...entry }))),
+    standard,
+  })
+  letters.delete(registry.get(type)?.definition.letter)
+  letters.set(letter, type)
+  registry.set(type, { definition, tables: new Map() })
+  version++
+  return definition
+}
+
+STANDARD_PIECES.forEach(piece => register(piece, true))
+FAIRY_PIECES.forEach(piece => register(piece, false))
+
+// Add or replace a fairy piece: { type, letter, name?, symbol?, value?, betza | movement }.
+// movement takes precedence when both are given. Throws an Error describing any problem.
+// Returns the frozen definition.
+export function definePiece(definition) {
+  return register(definition, false)
+}
+
+// Definition of a piece type ({ type, name, letter, symbol, value, betza?, movement,
+// standard }), or null for an unknown type
+export function getPieceDefinition(type) {
+  return registry.get(type)?.definition ?? null
+}
+
+// Every non-standard piece, in the order it was first defined
+export function getFairyPieces() {
+  return [...registry.values()].map(({ definition }) => definition).filter(d => !d.standard)
+}
+
+export function isStandardPiece(type) {
+  return Boolean(registry.get(type)?.definition.standard)
+}
+
+// Piece type for a FEN letter (either case), or null
+export function pieceTypeForLetter(letter) {
+  return typeof letter === 'string' ? letters.get(letter.toLowerCase()) ?? null : null
+}
+
+// Bumped whenever a piece is (re)defined, so cached analyses can tell definitions apart
+export function pieceDefinitionsVersion() {
+  return version
+}
+
+// Compiled tables of a piece for its color on a board size: { capture, move, sliding },
+// or null for an unknown type. Compiled on first use per size.
+export function getPieceTables(piece, size) {
+  const entry = registry.get(piece.type)
+  if (!entry) return null
+  const key = sizeKey(size)
+  if (!entry.tables.has(key)) entry.tables.set(key, compile(entry.definition, size))
+  return entry.tables.get(key)[piece.color]
+}
+
+// Squares reached through a set of ray tables from [row, col]. Without a board slides
+// run to the edge and hops reach nothing (they need a hurdle); with a board each slide
+// stops at the first piece, a hop lands right behind it, a cannon hop anywhere up to and
+// including the next piece beyond it.
+export function reachSquares(tables, row, col, board = null) {
+  const square = squareIndex(row, col, tables.width)
+  const reached = []
+  for (const ray of tables.slides[square]) {
+    for (const target of ray) {
+      reached.push(target)
+      if (board && board[target[0]][target[1]]) break
+    }
+  }
+  if (!board) return reached
+
+  for (const ray of tables.hops[square]) {
+    const hurdle = ray.findIndex(([r, c]) => board[r][c])
+    if (hurdle !== -1 && hurdle + 1 < ray.length) reached.push(ray[hurdle + 1])
+  }
+  for (const ray of tables.screens[square]) {
+    const screen = ray.findIndex(([r, c]) => board[r][c])
+    if (screen === -1) continue
+    for (const target of ray.slice(screen + 1)) {
+      reached.push(target)
+      if (board[target[0]][target[1]]) break
+    }
+  }
+  return reached
+}
@@ -1,4 +1,9 @@
-// Piece types
+import { parseSquare, squareName } from './fen.js'
+import { attackTables, squareIndex } from './attackTables.js'
+import { boardSize, castlingRules, enPassantRow, pawnStartRow, DEFAULT_BOARD_SIZE } from './boardSize.js'
+import { getPieceDefinition, getPieceTables, isStandardPiece, reachSquares } from './pieceDefinitions.js'
+
+// Standard piece types (fairy pieces are defined in pieceDefinitions.js)
 export const PIECE_TYPES = {
   KING: 'king',
   QUEEN: 'queen',
@@ -40,8 +45,17 @@ export const PIECE_COLORS = [
   '#f97316', // orange
 ]
 
-// Track piece colors (white/black) by pieceIndex
-export const pieceColorMap = new Map()
+// How a piece reaches a square: directly, or x-raying through one blocker
+export const ATTACK_ROLES = {
+  DIRECT: 'direct',
+  XRAY_OWN: 'xray-own',
+  XRAY_ENEMY: 'xray-enemy',
+}
+
+// Material value used for exchange evaluation, from the piece definition
+export function pieceValue(type) {
+  return getPieceDefinition(type)?.value ?? 0
+}
 
 // Heat map colors - darker = more attackers
 export const HEAT_COLORS = [
@@ -52,48 +66,61 @@ export const HEAT_COLORS = [
   '#4B0A1C', // 4+ attackers - very dark maroon
 ]
 
+// Chess glyph for the standard pieces; fairy pieces use their definition's symbol
 export function getPieceSymbol(type, color) {
-  return PIECE_SYMBOLS[color]?.[type] || '?'
+  return PIECE_SYMBOLS[color]?.[type] || getPieceDefinition(type)?.symbol || '?'
 }
 
-// Check if position is on the board
-function isOnBoard(row, col) {
-  return row >= 0 && row < 8 && col >= 0 && col < 8
+// Check if position is on a board of this size
+function isOnBoard(row, col, size) {
+  return row >= 0 && row < size.height && col >= 0 && col < size.width
 }
 
 // Get squares a piece can MOVE to (different from attack for pawns)
-export function getMoveSquares(piece, row, col, board = null) {
+// Without a board this is geometry only (on a standard 8x8 board); with a board, own-occupied squares are
+// excluded and pawn captures need an enemy piece. With a board and position meta, a
+// king on its home square also gets the castling squares it may move to (rights held,
+// path empty, no square it crosses attacked). Use getPieceLegalMoves for real legality.
+export function getMoveSquares(piece, row, col, board = null, meta = null) {
   // For most pieces, move squares = attack squares
   if (piece.type !== PIECE_TYPES.PAWN) {
-    return getAttackedSquares(piece, row, col, board)
+    const squares = getNonPawnMoves(piece, row, col, board)
+    if (!board) return squares
+    const castles = meta?.castling && piece.type === PIECE_TYPES.KING
+      ? getCastlingPaths(board, meta, piece.color)
+        .filter(path => path.available && path.from[0] === row && path.from[1] === col)
+        .map(path => path.kingTo)
+      : []
+    return [...squares, ...castles]
   }
   
   // Pawns move forward, not diagonally
+  const size = board ? boardSize(board) : DEFAULT_BOARD_SIZE
   const moves = []
   const direction = piece.color === 'white' ? -1 : 1
-  const startRow = piece.color === 'white' ? 6 : 1
+  const startRow = pawnStartRow(piece.color, size)
   
   // One square forward
   const oneForward = row + direction
-  if (isOnBoard(oneForward, col) && (!board || !board[oneForward][col])) {
+  if (isOnBoard(oneForward, col, size) && (!board || !board[oneForward][col])) {
     moves.push([oneForward, col])
     
     // Two squares forward from starting position
     if (row === startRow) {
       const twoForward = row + (direction * 2)
-      if (isOnBoard(twoForward, col) && (!board || !board[twoForward][col])) {
+      if (isOnBoard(twoForward, col, size) && (!board || !board[twoForward][col])) {
         moves.push([twoForward, col])
       }
     }
   }
   
-  // Also include diagonal captures as potential moves
+  // Also include diagonal captures as potential moves (only onto enemy pieces when board is known)
   const captures = [
     [row + direction, col - 1],
     [row + direction, col + 1],
   ]
   for (const [nr, nc] of captures) {
-    if (isOnBoard(nr, nc)) {
+    if (isOnBoard(nr, nc, size) && (!board || (board[nr][nc] && board[nr][nc].color !== piece.color))) {
       moves.push([nr, nc])
     }
   }
@@ -101,121 +128,400 @@ export function getMoveSquares(piece, row, col, board = null) {
   return moves
 }
 
-// Get all squares attacked by a piece at a given position
-// board parameter is optional - if provided, blocking is calculated
+// Get all squares attacked by a piece at a given position, from its piece definition
+// board parameter is optional - if provided, blocking is calculated (and its size used;
+// otherwise the board is a standard 8x8 one)
 export function getAttackedSquares(piece, row, col, board = null) {
-  const attacked = []
-  
-  switch (piece.type) {
-    case PIECE_TYPES.KING:
-      for (let dr = -1; dr <= 1; dr++) {
-        for (let dc = -1; dc <= 1; dc++) {
-          if (dr === 0 && dc === 0) continue
-          const nr = row + dr
-          const nc = col + dc
-          if (isOnBoard(nr, nc)) {
-            attacked.push([nr, nc])
-          }
-        }
-      }
-      break
-
-    case PIECE_TYPES.QUEEN:
-      attacked.push(...getSlidingAttacks(row, col, [
-        [-1, 0], [1, 0], [0, -1], [0, 1],
-        [-1, -1], [-1, 1], [1, -1], [1, 1],
-      ], board))
-      break
-
-    case PIECE_TYPES.ROOK:
-      attacked.push(...getSlidingAttacks(row, col, [
-        [-1, 0], [1, 0], [0, -1], [0, 1],
-      ], board))
-      break
-
-    case PIECE_TYPES.BISHOP:
-      attacked.push(...getSlidingAttacks(row, col, [
-        [-1, -1], [-1, 1], [1, -1], [1, 1],
-      ], board))
-      break
-
-    case PIECE_TYPES.KNIGHT:
-      const knightMoves = [
-        [-2, -1], [-2, 1], [-1, -2], [-1, 2],
-        [1, -2], [1, 2], [2, -1], [2, 1],
-      ]
-      for (const [dr, dc] of knightMoves) {
-        const nr = row + dr
-        const nc = col + dc
-        if (isOnBoard(nr, nc)) {
-          attacked.push([nr, nc])
-        }
-      }
-      break
-
-    case PIECE_TYPES.PAWN:
-      const direction = piece.color === 'white' ? -1 : 1
-      const pawnAttacks = [
-        [direction, -1],
-        [direction, 1],
-      ]
-      for (const [dr, dc] of pawnAttacks) {
-        const nr = row + dr
-        const nc = col + dc
-        if (isOnBoard(nr, nc)) {
-          attacked.push([nr, nc])
-        }
-      }
-      break
+  const tables = getPieceTables(piece, board ? boardSize(board) : DEFAULT_BOARD_SIZE)
+  return tables ? reachSquares(tables.capture, row, col, board) : []
+}
 
-    default:
-      break
+// Squares a non-pawn piece can move to: its attacks, plus move-only squares for fairy
+// pieces that move and capture differently. With a board, only empty squares and enemy
+// pieces (the latter only where it can capture).
+function getNonPawnMoves(piece, row, col, board) {
+  const tables = getPieceTables(piece, board ? boardSize(board) : DEFAULT_BOARD_SIZE)
+  if (!tables) return []
+  const attacks = reachSquares(tables.capture, row, col, board)
+  if (tables.move === tables.capture) {
+    return board ? attacks.filter(([r, c]) => board[r][c]?.color !== piece.color) : attacks
   }
-  
-  return attacked
+  if (!board) return [...attacks, ...reachSquares(tables.move, row, col)]
+  const captures = attacks.filter(([r, c]) => board[r][c] && board[r][c].color !== piece.color)
+  const quiet = reachSquares(tables.move, row, col, board).filter(([r, c]) => !board[r][c])
+  return [...quiet, ...captures]
 }
 
-function getSlidingAttacks(row, col, directions, board = null) {
-  const attacked = []
-  
+// Directions a piece slides in without limit, which it can x-ray along
+function slidingDirections(piece, size) {
+  return getPieceTables(piece, size)?.sliding ?? []
+}
+
+// Second-order attacks of a sliding piece: squares behind exactly one blocker,
+// up to and including the next occupied square.
+// Returns [{ square: [r, c], through: [r, c], role, battery }]; battery is true when the
+// blocker is an own piece sliding the same way (rook behind rook, queen behind bishop...)
+export function getXrayAttacks(piece, row, col, board) {
+  if (!board) return []
+  const size = boardSize(board)
+  const directions = slidingDirections(piece, size)
+  if (!directions.length) return []
+
+  const xrays = []
   for (const [dr, dc] of directions) {
     let nr = row + dr
     let nc = col + dc
-    
-    while (isOnBoard(nr, nc)) {
-      attacked.push([nr, nc])
-      // If there's a board and this square has a piece, stop sliding
-      if (board && board[nr][nc]) {
-        break
-      }
+    while (isOnBoard(nr, nc, size) && !board[nr][nc]) {
+      nr += dr
+      nc += dc
+    }
+    if (!isOnBoard(nr, nc, size)) continue
+
+    const blocker = board[nr][nc]
+    const through = [nr, nc]
+    const ownBlocker = blocker.color === piece.color
+    const battery = ownBlocker && slidingDirections(blocker, size)
+      .some(([bdr, bdc]) => bdr === dr && bdc === dc)
+    const role = ownBlocker ? ATTACK_ROLES.XRAY_OWN : ATTACK_ROLES.XRAY_ENEMY
+
+    nr += dr
+    nc += dc
+    while (isOnBoard(nr, nc, size)) {
+      xrays.push({ square: [nr, nc], through, role, battery })
+      if (board[nr][nc]) break
       nr += dr
       nc += dc
     }
   }
-  
-  return attacked
+  return xrays
+}
+
+// First piece along each ray from [row, col], or null per ray
+function firstPieces(board, rays) {
+  return rays.map(ray => {
+    for (const [r, c] of ray) {
+      if (board[r][c]) return board[r][c]
+    }
+    return null
+  })
+}
+
+// Check whether any piece of byColor attacks the square (with blocking).
+// Looks outward from the square with the attack tables instead of scanning every piece:
+// a knight a knight's jump away, a pawn where an enemy pawn here would capture, or a
+// slider that is the first piece along a ray it moves on. Fairy pieces move in too many
+// ways for that, so theirs are generated and searched for the square.
+export function isSquareAttacked(board, row, col, byColor) {
+  const size = boardSize(board)
+  const tables = attackTables(size)
+  const square = squareIndex(row, col, size.width)
+  const isEnemy = (piece, ...types) => piece?.color === byColor && types.includes(piece.type)
+  const at = ([r, c]) => board[r][c]
+
+  return tables.knight[square].some(sq => isEnemy(at(sq), PIECE_TYPES.KNIGHT)) ||
+    tables.king[square].some(sq => isEnemy(at(sq), PIECE_TYPES.KING)) ||
+    tables.pawn[opponent(byColor)][square].some(sq => isEnemy(at(sq), PIECE_TYPES.PAWN)) ||
+    firstPieces(board, tables.orthogonalRays[square]).some(p => isEnemy(p, PIECE_TYPES.ROOK, PIECE_TYPES.QUEEN)) ||
+    firstPieces(board, tables.diagonalRays[square]).some(p => isEnemy(p, PIECE_TYPES.BISHOP, PIECE_TYPES.QUEEN)) ||
+    isAttackedByFairy(board, row, col, byColor)
+}
+
+function isAttackedByFairy(board, row, col, byColor) {
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board[r].length; c++) {
+      const piece = board[r][c]
+      if (piece?.color !== byColor || isStandardPiece(piece.type)) continue
+      if (getAttackedSquares(piece, r, c, board).some(([ar, ac]) => ar === row && ac === col)) return true
+    }
+  }
+  return false
+}
+
+// --- Legal move generation: side to move, castling, en passant, promotion, self-check ---
+
+// Pieces a pawn may promote to, most valuable first
+export const PROMOTION_TYPES = ['queen', 'rook', 'bishop', 'knight']
+
+// Does a pawn of this color promote on this row? (the last rank: rank 8 for white on a
+// standard board, rank 1 for black)
+export function isPromotionRow(color, row, size = DEFAULT_BOARD_SIZE) {
+  return row === (color === 'white' ? 0 : size.height - 1)
+}
+
+// Castling geometry per board width, built on first use
+const castlingBySize = new Map()
+
+// Castling geometry per right: king/rook files, squares that must be empty (all
+// between king and rook) and squares the king passes through (must not be attacked).
+// null on boards without castling.
+function castlingSides(size) {
+  if (!castlingBySize.has(size.width)) {
+    const rules = castlingRules(size)
+    const span = (from, to) => Array.from({ length: Math.abs(to - from) + 1 }, (_, i) => from + Math.sign(to - from) * i)
+    castlingBySize.set(size.width, rules && {
+      kingCol: rules.kingCol,
+      kingside: { ...rules.kingside, empty: span(rules.kingCol, rules.kingside.rookFrom).slice(1, -1), passes: span(rules.kingCol, rules.kingside.kingTo) },
+      queenside: { ...rules.queenside, empty: span(rules.kingCol, rules.queenside.rookFrom).slice(1, -1), passes: span(rules.kingCol, rules.queenside.kingTo) },
+    })
+  }
+  return castlingBySize.get(size.width)
+}
+
+// Castling paths of one color, kingside first:
+// [{ castle, right, color, from, kingTo, hasRight, squares, available }]
+// hasRight: the right is held and king and rook stand on their home squares.
+// squares: every square from the king towards the rook, as { square: [r, c], mustBeEmpty,
+// occupied, kingPasses, attacked } - an occupied square blocks castling, and so does an
+// attacked square the king starts on or crosses. available: castling is legal right now.
+export function getCastlingPaths(board, meta, color) {
+  const size = boardSize(board)
+  const sides = castlingSides(size)
+  if (!sides) return []
+  const homeRow = color === 'white' ? size.height - 1 : 0
+  const enemy = opponent(color)
+  const king = board[homeRow][sides.kingCol]
+  const kingHome = king?.type === PIECE_TYPES.KING && king.color === color
+
+  return ['kingside', 'queenside'].map(castle => {
+    const rule = sides[castle]
+    const right = color === 'white' ? rule.right : rule.right.toLowerCase()
+    const rook = board[homeRow][rule.rookFrom]
+    const hasRight = (meta.castling || '').includes(right) && kingHome &&
+      rook?.type === PIECE_TYPES.ROOK && rook.color === color
+
+    const cols = [...new Set([...rule.passes, ...rule.empty])]
+    const squares = cols.map(col => {
+      const mustBeEmpty = rule.empty.includes(col)
+      const kingPasses = rule.passes.includes(col)
+      return {
+        square: [homeRow, col],
+        mustBeEmpty,
+        occupied: mustBeEmpty && Boolean(board[homeRow][col]),
+        kingPasses,
+        attacked: kingPasses && isSquareAttacked(board, homeRow, col, enemy),
+      }
+    })
+
+    return {
+      castle,
+      right,
+      color,
+      from: [homeRow, sides.kingCol],
+      kingTo: [homeRow, rule.kingTo],
+      hasRight,
+      squares,
+      available: hasRight && !squares.some(s => s.occupied || s.attacked),
+    }
+  })
+}
+
+// En passant target squares that fit the position with `turn` to move: an enemy pawn
+// stands where a double step would have put it, with both squares it crossed empty
+export function getEnPassantTargets(board, turn) {
+  const size = boardSize(board)
+  const targetRow = enPassantRow(turn, size)
+  if (targetRow === null) return []
+  // The enemy pawn moved away from the side to move
+  const step = turn === 'white' ? 1 : -1
+  const pawnRow = targetRow + step
+  const startRow = targetRow - step
+  const targets = []
+  for (let col = 0; col < size.width; col++) {
+    const pawn = board[pawnRow][col]
+    if (pawn?.type === PIECE_TYPES.PAWN && pawn.color === opponent(turn) &&
+      !board[targetRow][col] && !board[startRow][col]) {
+      targets.push(squareName(targetRow, col, size.height))
+    }
+  }
+  return targets
+}
+
+export function opponent(color) {
+  return color === 'white' ? 'black' : 'white'
+}
+
+export function findKing(board, color) {
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board[row].length; col++) {
+      const piece = board[row][col]
+      if (piece?.type === 'king' && piece.color === color) return [row, col]
+    }
+  }
+  return null
+}
+
+// Is the king of this color attacked? (false if there is no such king)
+export function isInCheck(board, color) {
+  const king = findKing(board, color)
+  return king ? isSquareAttacked(board, king[0], king[1], opponent(color)) : false
+}
+
+// Play a move and return the new { board, meta }.
+// Handles castling, en passant and promotion, and updates castling rights,
+// en passant square, clocks and side to move. Does not check legality.
+export function makeMove(board, meta, { from, to, promotion = null, castle = null }) {
+  const newBoard = board.map(r => [...r])
+  const [fr, fc] = from
+  const [tr, tc] = to
+  const piece = board[fr][fc]
+  const captured = board[tr][tc]
+  const size = boardSize(board)
+  const sides = castlingSides(size)
+
+  newBoard[fr][fc] = null
+  newBoard[tr][tc] = promotion ? { ...piece, type: promotion } : piece
+
+  // En passant: pawn moves diagonally onto an empty square
+  if (piece.type === 'pawn' && fc !== tc && !captured) {
+    newBoard[fr][tc] = null
+  }
+
+  // Castling also moves the rook
+  if (castle) {
+    const { rookFrom, rookTo } = sides[castle]
+    newBoard[fr][rookTo] = board[fr][rookFrom]
+    newBoard[fr][rookFrom] = null
+  }
+
+  // A king or rook leaving (or a rook being captured on) its home square drops those rights
+  const keepsRight = right => {
+    const row = right === right.toUpperCase() ? size.height - 1 : 0
+    const { rookFrom } = sides[right.toUpperCase() === 'K' ? 'kingside' : 'queenside']
+    return ![[fr, fc], [tr, tc]].some(([r, c]) => r === row && (c === sides.kingCol || c === rookFrom))
+  }
+  const castling = sides ? [...(meta.castling || '')].filter(keepsRight).join('') : ''
+
+  const isDoublePush = piece.type === 'pawn' && Math.abs(tr - fr) === 2
+  return {
+    board: newBoard,
+    meta: {
+      turn: opponent(piece.color),
+      castling,
+      enPassant: isDoublePush ? squareName((fr + tr) / 2, fc, size.height) : null,
+      halfmove: piece.type === 'pawn' || captured ? 0 : (meta.halfmove ?? 0) + 1,
+      fullmove: piece.color === 'black' ? (meta.fullmove ?? 1) + 1 : (meta.fullmove ?? 1),
+    },
+  }
+}
+
+// Pseudo-legal moves for one piece (may leave its own king in check)
+function getPseudoMoves(board, meta, row, col) {
+  const piece = board[row][col]
+  const moves = []
+  const add = (to, extra = {}) => moves.push({ from: [row, col], to, ...extra })
+
+  const size = boardSize(board)
+  if (piece.type === 'pawn') {
+    const dir = piece.color === 'white' ? -1 : 1
+    const startRow = pawnStartRow(piece.color, size)
+    const addPawn = (to, extra = {}) => {
+      if (isPromotionRow(piece.color, to[0], size)) {
+        PROMOTION_TYPES.forEach(promotion => add(to, { ...extra, promotion }))
+      } else {
+        add(to, extra)
+      }
+    }
+
+    const oneRow = row + dir
+    if (oneRow >= 0 && oneRow < size.height && !board[oneRow][col]) {
+      addPawn([oneRow, col])
+      const twoRow = row + 2 * dir
+      if (row === startRow && !board[twoRow][col]) {
+        add([twoRow, col])
+      }
+    }
+
+    // Only the side whose pawn just got passed may capture en passant
+    const ep = meta.enPassant ? parseSquare(meta.enPassant, size) : null
+    const epValid = ep && ep[0] === enPassantRow(piece.color, size)
+    for (const [tr, tc] of getAttackedSquares(piece, row, col, board)) {
+      const target = board[tr][tc]
+      if (target && target.color !== piece.color) {
+        addPawn([tr, tc])
+      } else if (!target && epValid && ep[0] === tr && ep[1] === tc) {
+        add([tr, tc], { enPassant: true })
+      }
+    }
+    return moves
+  }
+
+  for (const to of getNonPawnMoves(piece, row, col, board)) add(to)
+
+  // Castling: king on its home square with the right, empty path, never through check
+  const sides = castlingSides(size)
+  const homeRow = piece.color === 'white' ? size.height - 1 : 0
+  if (piece.type === 'king' && sides && row === homeRow && col === sides.kingCol && meta.castling) {
+    for (const path of getCastlingPaths(board, meta, piece.color)) {
+      if (path.available && path.from[0] === row && path.from[1] === col) {
+        add(path.kingTo, { castle: path.castle })
+      }
+    }
+  }
+
+  return moves
+}
+
+// Legal moves for the piece on [row, col], played as if it were that piece's turn
+export function getPieceLegalMoves(board, meta, row, col) {
+  const piece = board[row]?.[col]
+  if (!piece) return []
+  return getPseudoMoves(board, meta, row, col)
+    .filter(move => !isInCheck(makeMove(board, meta, move).board, piece.color))
+}
+
+// All legal moves for a side (defaults to the side to move)
+export function getLegalMoves(board, meta, color = meta.turn) {
+  const moves = []
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board[row].length; col++) {
+      if (board[row][col]?.color === color) {
+        moves.push(...getPieceLegalMoves(board, meta, row, col))
+      }
+    }
+  }
+  return moves
+}
+
+// "e2e4", "e7e8q" (ranks count from the bottom of a board of size.height ranks)
+export function moveToUci({ from, to, promotion }, size = DEFAULT_BOARD_SIZE) {
+  const promo = promotion ? (promotion === 'knight' ? 'n' : promotion[0]) : ''
+  return `${squareName(...from, size.height)}${squareName(...to, size.height)}${promo}`
+}
+
+// Find the legal move matching a UCI string ("e2e4", "e7e8q"), or null
+export function findUciMove(board, meta, uci) {
+  const match = /^([a-j](?:10|[1-9]))([a-j](?:10|[1-9]))([qrbn])?$/i.exec(uci?.trim() ?? '')
+  if (!match) return null
+  const [, fromSq, toSq, promo] = match
+  const lower = `${fromSq}${toSq}${promo ?? ''}`.toLowerCase()
+  const size = boardSize(board)
+  return getLegalMoves(board, meta).find(move => moveToUci(move, size) === lower) ?? null
+}
+
+// Add x-ray entries ({idx, color, role, through, battery}) to each cell's xrays list
+function addXrays(attacks, board, piece, row, col, idx) {
+  for (const { square: [ar, ac], through, role, battery } of getXrayAttacks(piece, row, col, board)) {
+    attacks[ar][ac].xrays.push({ idx, color: piece.color, role, through, battery })
+  }
 }
 
 // Calculate all attacks from all pieces on the board
-// Returns an 8x8 array where each cell contains:
-// { attackers: [{idx, color}...], defenders: [{idx, color}...] }
-export function calculateAllAttacks(board) {
-  // Clear and rebuild piece color map
-  pieceColorMap.clear()
-  
+// Returns a board-sized array where each cell contains:
+// { attackers: [{idx, color, role}...], defenders: [{idx, color, role}...], xrays: [...] }
+// xrays is only filled when options.xray is set
+export function calculateAllAttacks(board, { xray = false } = {}) {
   // Initialize attacks as objects with attackers and defenders
-  const attacks = Array(8).fill(null).map(() => 
-    Array(8).fill(null).map(() => ({ attackers: [], defenders: [] }))
+  const attacks = board.map(rowPieces =>
+    rowPieces.map(() => ({ attackers: [], defenders: [], xrays: [] }))
   )
   
   // Collect all pieces with their positions and assigned indices
-  for (let row = 0; row < 8; row++) {
-    for (let col = 0; col < 8; col++) {
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board[row].length; col++) {
       const piece = board[row][col]
       if (!piece) continue
       
       const idx = piece.pieceIndex ?? 0
-      pieceColorMap.set(idx, piece.color)
       
       // Get all squares this piece attacks (passing board for blocking calculation)
       const attackedSquares = getAttackedSquares(piece, row, col, board)
@@ -223,7 +529,7 @@ export function calculateAllAttacks(board) {
       // Add this piece's info to each attacked square
       for (const [ar, ac] of attackedSquares) {
         const targetPiece = board[ar][ac]
-        const attackInfo = { idx, color: piece.color }
+        const attackInfo = { idx, color: piece.color, role: ATTACK_ROLES.DIRECT }
         if (targetPiece && targetPiece.color === piece.color) {
           // Same color = defending
           attacks[ar][ac].defenders.push(attackInfo)
@@ -232,105 +538,266 @@ export function calculateAllAttacks(board) {
           attacks[ar][ac].attackers.push(attackInfo)
         }
       }
+
+      if (xray) addXrays(attacks, board, piece, row, col, idx)
     }
   }
   
   return attacks
 }
 
-// Calculate attacks with depth (secondary, tertiary coverage)
-// depth 1 = current, depth 2 = if pieces moved to attack squares, etc.
-export function calculateAttacksWithDepth(board, maxDepth = 1) {
-  // Clear and rebuild piece color map
-  pieceColorMap.clear()
-  
-  // Initialize: each cell contains depths with attackers/defenders
-  const attacks = Array(8).fill(null).map(() => 
-    Array(8).fill(null).map(() => ({
-      depth1: { attackers: [], defenders: [] },
-      depth2: { attackers: [], defenders: [] },
-      depth3: { attackers: [], defenders: [] },
-    }))
-  )
-  
-  // Collect all pieces with their positions
-  const pieces = []
-  for (let row = 0; row < 8; row++) {
-    for (let col = 0; col < 8; col++) {
-      const piece = board[row][col]
-      if (piece) {
-        const idx = piece.pieceIndex ?? 0
-        pieceColorMap.set(idx, piece.color)
-        pieces.push({ piece, row, col, idx })
-      }
+// Minimum number of moves the piece on [row, col] needs to reach each square, moving
+// alone on an otherwise unchanged board: other pieces block and own pieces can't be
+// landed on, enemy pieces can be captured. The first move must be legal (as if it were
+// that piece's turn); later moves only need to be possible on the board.
+// Returns a board-sized grid of move counts (0 = where it stands), null = not reachable
+// within maxMoves.
+export function getReachableSquares(board, meta, row, col, maxMoves = Infinity) {
+  const piece = board[row][col]
+  const distance = board.map(rowPieces => rowPieces.map(() => null))
+  if (!piece) return distance
+  distance[row][col] = 0
+  if (maxMoves < 1) return distance
+
+  // The piece's own square is empty once it has left
+  const lifted = board.map(r => [...r])
+  lifted[row][col] = null
+
+  let frontier = []
+  for (const { to: [r, c] } of getPieceLegalMoves(board, meta, row, col)) {
+    if (distance[r][c] === null) {
+      distance[r][c] = 1
+      frontier.push([r, c])
     }
   }
-  
-  // Depth 1: Current attacks (with blocking)
-  for (const { piece, row, col, idx } of pieces) {
-    const attackedSquares = getAttackedSquares(piece, row, col, board)
-    for (const [ar, ac] of attackedSquares) {
-      const targetPiece = board[ar][ac]
-      const attackInfo = { idx, color: piece.color }
-      if (targetPiece && targetPiece.color === piece.color) {
-        attacks[ar][ac].depth1.defenders.push(attackInfo)
-      } else {
-        attacks[ar][ac].depth1.attackers.push(attackInfo)
+
+  for (let moves = 2; moves <= maxMoves && frontier.length; moves++) {
+    const next = []
+    for (const [fr, fc] of frontier) {
+      for (const [r, c] of getMoveSquares(piece, fr, fc, lifted)) {
+        if (distance[r][c] === null) {
+          distance[r][c] = moves
+          next.push([r, c])
+        }
       }
     }
+    frontier = next
   }
-  
-  if (maxDepth < 2) return attacks
-  
-  // Helper to check if idx already in array of {idx, color} objects
-  const hasIdx = (arr, idx) => arr.some(a => a.idx === idx)
-  
-  // Depth 2: If piece moves to any of its MOVE squares, what could it attack?
-  for (const { piece, row, col, idx } of pieces) {
-    const possibleMoves = getMoveSquares(piece, row, col, board)
-    
-    for (const [moveRow, moveCol] of possibleMoves) {
-      const futureAttacks = getAttackedSquares(piece, moveRow, moveCol)
-      
-      for (const [ar, ac] of futureAttacks) {
-        const d1 = attacks[ar][ac].depth1
-        const d2 = attacks[ar][ac].depth2
-        if (!hasIdx(d1.attackers, idx) && !hasIdx(d1.defenders, idx) &&
-            !hasIdx(d2.attackers, idx)) {
-          d2.attackers.push({ idx, color: piece.color })
+
+  return distance
+}
+
+// Deepest coverage depth that can add anything in this position: one more than the
+// most moves any piece needs to reach a square it can get to at all. Bounded by the
+// board and the pieces on it (a camel on 10x10 needs more moves than a queen on 8x8).
+export function coverageDepthLimit(board, meta = {}) {
+  let limit = 1
+  board.forEach((rowPieces, row) => rowPieces.forEach((piece, col) => {
+    if (!piece) return
+    const farthest = Math.max(0, ...getReachableSquares(board, meta, row, col).flat().filter(d => d !== null))
+    limit = Math.max(limit, farthest + 1)
+  }))
+  return limit
+}
+
+// Calculate attacks by coverage depth: depth 1 = attacked now, depth N = the piece
+// attacks the square after N-1 moves of its own (the minimum, so each piece appears
+// at one depth per square). Blockers and occupancy are respected at every step.
+// maxDepth can be any depth (Infinity too): the search ends once no piece reaches
+// new squares.
+// Returns a board-sized array where each cell contains:
+// { byDepth: { 1: { attackers, defenders }, 2: { attackers, defenders: [] }, ... }, xrays }
+// with the same levels in every cell, up to the deepest one a piece reaches (at most maxDepth).
+// meta (castling/en passant) is optional and only affects which first moves are legal
+export function calculateAttacksWithDepth(board, maxDepth = 1, meta = {}, { xray = false } = {}) {
+  const depths = Math.max(1, Math.floor(maxDepth))
+  const attacks = board.map(rowPieces =>
+    rowPieces.map(() => ({ byDepth: { 1: { attackers: [], defenders: [] } }, xrays: [] }))
+  )
+  let deepest = 1
+
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board[row].length; col++) {
+      const piece = board[row][col]
+      if (!piece) continue
+
+      const idx = piece.pieceIndex ?? 0
+
+      // Depth 1: current attacks (with blocking); own pieces hit are defended
+      for (const [ar, ac] of getAttackedSquares(piece, row, col, board)) {
+        const targetPiece = board[ar][ac]
+        const attackInfo = { idx, color: piece.color, role: ATTACK_ROLES.DIRECT }
+        if (targetPiece && targetPiece.color === piece.color) {
+          attacks[ar][ac].byDepth[1].defenders.push(attackInfo)
+        } else {
+          attacks[ar][ac].byDepth[1].attackers.push(attackInfo)
         }
       }
-    }
-  }
-  
-  if (maxDepth < 3) return attacks
-  
-  // Depth 3: One more level deep
-  for (const { piece, row, col, idx } of pieces) {
-    const possibleMoves1 = getMoveSquares(piece, row, col, board)
-    
-    for (const [moveRow1, moveCol1] of possibleMoves1) {
-      const possibleMoves2 = getMoveSquares(piece, moveRow1, moveCol1)
-      
-      for (const [moveRow2, moveCol2] of possibleMoves2) {
-        const futureAttacks = getAttackedSquares(piece, moveRow2, moveCol2)
-        
-        for (const [ar, ac] of futureAttacks) {
-          const d1 = attacks[ar][ac].depth1
-          const d2 = attacks[ar][ac].depth2
-          const d3 = attacks[ar][ac].depth3
-          if (!hasIdx(d1.attackers, idx) && !hasIdx(d1.defenders, idx) &&
-              !hasIdx(d2.attackers, idx) && !hasIdx(d3.attackers, idx)) {
-            d3.attackers.push({ idx, color: piece.color })
+      if (xray) addXrays(attacks, board, piece, row, col, idx)
+
+      if (depths < 2) continue
+
+      // Deeper levels: attacks from every square reachable in 1..depths-1 moves,
+      // visited nearest first so each square keeps its smallest depth
+      const distance = getReachableSquares(board, meta, row, col, depths - 1)
+      const farthest = Math.max(0, ...distance.flat().filter(d => d !== null))
+      const lifted = board.map(r => [...r])
+      lifted[row][col] = null
+      const level = board.map(rowPieces => rowPieces.map(() => null))
+      getAttackedSquares(piece, row, col, board).forEach(([ar, ac]) => { level[ar][ac] = 1 })
+
+      for (let moves = 1; moves <= farthest; moves++) {
+        for (let r = 0; r < board.length; r++) {
+          for (let c = 0; c < board[r].length; c++) {
+            if (distance[r][c] !== moves) continue
+            for (const [ar, ac] of getAttackedSquares(piece, r, c, lifted)) {
+              if (level[ar][ac] !== null) continue
+              level[ar][ac] = moves + 1
+              attacks[ar][ac].byDepth[moves + 1] ??= { attackers: [], defenders: [] }
+              attacks[ar][ac].byDepth[moves + 1].attackers.push({ idx, color: piece.color })
+              deepest = Math.max(deepest, moves + 1)
+            }
           }
         }
       }
     }
   }
-  
+
+  // Empty levels where nothing arrives, so every cell lists depths 1..deepest
+  attacks.forEach(cells => cells.forEach(cell => {
+    for (let d = 2; d <= deepest; d++) cell.byDepth[d] ??= { attackers: [], defenders: [] }
+  }))
   return attacks
 }
 
+// Least valuable piece of `color` attacking the square, or null
+function leastValuableAttacker(board, row, col, color) {
+  let best = null
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board[r].length; c++) {
+      const piece = board[r][c]
+      if (!piece || piece.color !== color) continue
+      if (best && pieceValue(piece.type) >= pieceValue(best.piece.type)) continue
+      if (getAttackedSquares(piece, r, c, board).some(([ar, ac]) => ar === row && ac === col)) {
+        best = { piece, row: r, col: c }
+      }
+    }
+  }
+  return best
+}
+
+// Static exchange evaluation of capturing the piece on [row, col].
+// Both sides capture with their least valuable attacker and may stop whenever continuing
+// would lose material. Attackers are re-scanned after every capture, so x-ray recaptures
+// (a rook behind a rook, a queen behind a bishop) join in. Pins are ignored, but a king
+// never captures onto a square the other side still attacks, and kings are never targets.
+// Returns { gain, side, sequence, played } from the capturing side's view, or null if nothing
+// can capture it. sequence lists every available capture in order; the first played of them
+// are made before a side stops.
+export function getStaticExchange(board, row, col) {
+  const target = board[row][col]
+  if (!target || target.type === PIECE_TYPES.KING) return null
+
+  const side = target.color === 'white' ? 'black' : 'white'
+  let attacker = leastValuableAttacker(board, row, col, side)
+  if (!attacker) return null
+
+  const work = board.map(r => [...r])
+  const gain = [pieceValue(target.type)]
+  const sequence = []
+  let mover = side
+  let depth = 0
+
+  while (attacker) {
+    if (attacker.piece.type === PIECE_TYPES.KING) {
+      const after = work.map(r => [...r])
+      after[attacker.row][attacker.col] = null
+      after[row][col] = attacker.piece
+      if (leastValuableAttacker(after, row, col, opponent(mover))) break
+    }
+    depth++
+    // Score if the piece that just captured is taken back
+    gain[depth] = pieceValue(attacker.piece.type) - gain[depth - 1]
+    sequence.push({ type: attacker.piece.type, color: mover, from: [attacker.row, attacker.col] })
+
+    work[attacker.row][attacker.col] = null
+    work[row][col] = attacker.piece
+    mover = mover === 'white' ? 'black' : 'white'
+    attacker = leastValuableAttacker(work, row, col, mover)
+  }
+
+  if (!sequence.length) return null
+
+  // Negamax back up the swap list: each side may decline to recapture
+  const speculative = [...gain]
+  while (--depth) {
+    gain[depth - 1] = -Math.max(-gain[depth - 1], gain[depth])
+  }
+
+  // Captures actually made: a side recaptures only while that beats stopping
+  let played = 1
+  while (played < sequence.length && gain[played] > -speculative[played - 1]) played++
+
+  return { gain: gain[0], side, sequence, played }
+}
+
+// Static exchange evaluation for every occupied square the enemy attacks.
+// Returns a board-sized array of getStaticExchange results (null where there is no capture,
+// and on kings).
+export function calculateExchanges(board) {
+  return board.map((rowPieces, row) => rowPieces.map((piece, col) =>
+    piece ? getStaticExchange(board, row, col) : null
+  ))
+}
+
+// Reasons a piece is flagged by findWeakPieces
+export const WEAKNESS_TYPES = {
+  HANGING: 'hanging',
+  OUTNUMBERED: 'outnumbered',
+  LOWER_ATTACKER: 'lower-attacker',
+}
+
+// Find pieces that are attacked and undefended (hanging), attacked more times than
+// defended, or attacked by a lower-value piece. Kings are skipped (that is check).
+// attacks is calculateAllAttacks output (or a depth result - only depth 1 is used).
+// Returns [{ row, col, piece, reasons, attackers, defenders, lowestAttacker }]
+export function findWeakPieces(board, attacks = calculateAllAttacks(board)) {
+  // pieceIndex -> piece, to look up attacker types
+  const byIndex = new Map()
+  board.forEach(row => row.forEach(piece => {
+    if (piece) byIndex.set(piece.pieceIndex ?? 0, piece)
+  }))
+
+  const weak = []
+  board.forEach((rowPieces, row) => rowPieces.forEach((piece, col) => {
+    if (!piece || piece.type === PIECE_TYPES.KING) return
+    const cell = attacks[row][col].byDepth?.[1] ?? attacks[row][col]
+    const attackers = cell.attackers.filter(a => a.color !== piece.color)
+    const defenders = cell.defenders
+    if (attackers.length === 0) return
+
+    const lowestAttacker = attackers
+      .map(a => byIndex.get(a.idx)?.type)
+      .filter(Boolean)
+      .sort((a, b) => pieceValue(a) - pieceValue(b))[0]
+
+    const reasons = []
+    if (defenders.length === 0) {
+      reasons.push(WEAKNESS_TYPES.HANGING)
+    } else if (attackers.length > defenders.length) {
+      reasons.push(WEAKNESS_TYPES.OUTNUMBERED)
+    }
+    if (lowestAttacker && pieceValue(lowestAttacker) < pieceValue(piece.type)) {
+      reasons.push(WEAKNESS_TYPES.LOWER_ATTACKER)
+    }
+
+    if (reasons.length > 0) {
+      weak.push({ row, col, piece, reasons, attackers: attackers.length, defenders: defenders.length, lowestAttacker })
+    }
+  }))
+  return weak
+}
+
 // Legacy function for backward compatibility - returns counts
 export function calculateAttackCounts(board) {
   const attacks = calculateAllAttacks(board)
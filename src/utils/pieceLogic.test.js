@@ -0,0 +1,83 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseFen, parseSquare } from './fen.js'
+import {
+  calculateAllAttacks, calculateAttacksWithDepth, calculateExchanges, coverageDepthLimit, getReachableSquares, getStaticExchange,
+} from './pieceLogic.js'
+
+// Exchange on a square of a FEN position
+function exchange(fen, square) {
+  const { board } = parseFen(fen)
+  return getStaticExchange(board, ...parseSquare(square))
+}
+
+test('a free piece is won outright', () => {
+  const result = exchange('4k3/8/8/3p4/8/8/8/3RK3 w - - 0 1', 'd5')
+  assert.equal(result.gain, 1)
+  assert.equal(result.side, 'white')
+  assert.equal(result.played, 1)
+})
+
+test('a defended pawn costs the queen that takes it', () => {
+  const result = exchange('4k3/8/2p5/3p4/8/8/8/3QK3 w - - 0 1', 'd5')
+  assert.equal(result.gain, -8)
+  assert.deepEqual(result.sequence.map(s => `${s.color} ${s.type}`), ['white queen', 'black pawn'])
+  assert.equal(result.played, 2)
+})
+
+test('x-ray recaptures join the sequence, which stops where a side would', () => {
+  const result = exchange('3qk3/8/2p5/3n4/4P3/2N5/8/3RK3 w - - 0 1', 'd5')
+  assert.equal(result.gain, 3)
+  assert.equal(result.sequence.length, 5)
+  assert.equal(result.sequence[4].type, 'rook')
+  assert.equal(result.played, 1)
+})
+
+test('kings are never exchange targets', () => {
+  const fen = '4k3/8/8/8/8/8/8/4R2K b - - 0 1'
+  assert.equal(exchange(fen, 'e8'), null)
+  const { board } = parseFen(fen)
+  assert.equal(calculateExchanges(board)[0][4], null)
+})
+
+test('a king does not capture onto a square the other side still attacks', () => {
+  // Only the black king attacks d4, and the c3 pawn guards it
+  assert.equal(exchange('8/8/8/4k3/3P4/2P5/8/7K b - - 0 1', 'd4'), null)
+
+  // Bxd5 stands: Kxd5 would walk into the rook on d1
+  const result = exchange('8/8/4k3/3p4/8/5B2/8/3R3K w - - 0 1', 'd5')
+  assert.equal(result.gain, 1)
+  assert.deepEqual(result.sequence.map(s => s.type), ['bishop'])
+})
+
+test('an undefended piece next to the king can be taken by it', () => {
+  const result = exchange('8/8/8/4k3/3P4/8/8/7K b - - 0 1', 'd4')
+  assert.equal(result.gain, 1)
+  assert.deepEqual(result.sequence.map(s => s.type), ['king'])
+})
+
+test('a rook behind a rook x-rays through it', () => {
+  const { board } = parseFen('4k3/8/8/8/8/8/R7/R3K3 w - - 0 1')
+  const [xray] = calculateAllAttacks(board, { xray: true })[0][0].xrays
+  assert.deepEqual(xray.through, [6, 0])
+  assert.equal(xray.battery, true)
+  assert.deepEqual(calculateAllAttacks(board)[0][0].xrays, [])
+})
+
+test('reachable squares count the moves a piece needs', () => {
+  const { board, meta } = parseFen('8/8/8/8/8/8/8/N7 w - - 0 1')
+  const moves = getReachableSquares(board, meta, ...parseSquare('a1'))
+  assert.equal(moves[7][0], 0)
+  assert.equal(moves[5][1], 1)
+  assert.equal(moves[0][7], 6)
+  assert.equal(getReachableSquares(board, meta, ...parseSquare('a1'), 2)[0][7], null)
+})
+
+test('coverage depth stops where the pieces stop reaching new squares', () => {
+  const { board, meta } = parseFen('8/8/8/8/8/8/8/N7 w - - 0 1')
+  const limit = coverageDepthLimit(board, meta)
+  assert.equal(limit, 7)
+  const levels = Object.keys(calculateAttacksWithDepth(board, Infinity, meta)[0][0].byDepth)
+  assert.ok(levels.length <= limit)
+  assert.equal(Object.keys(calculateAttacksWithDepth(board, 2, meta)[0][0].byDepth).length, 2)
+})
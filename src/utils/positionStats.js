@@ -0,0 +1,91 @@
+// Position statistics to go with the heat map, per side, from the calculateAllAttacks
+// grid: space (squares controlled, in the opponent's half, center and extended center),
+// mobility and material. Plain data, so it can be exported as JSON.
+import { calculateAllAttacks, getPieceLegalMoves, pieceValue } from './pieceLogic.js'
+import { squareName } from './fen.js'
+import { boardSize } from './boardSize.js'
+
+const SIDES = ['white', 'black']
+
+// Measures compared between the sides; net is white minus black for each
+const MEASURES = ['controlled', 'opponentHalf', 'center', 'extendedCenter', 'mobility', 'material']
+
+// Middle files or ranks of a line of `count` squares (two when even, one when odd),
+// widened by `margin` on both sides
+function middleRange(count, margin) {
+  return [Math.floor((count - 1) / 2) - margin, Math.ceil((count - 1) / 2) + margin]
+}
+
+// Center (d4, e4, d5, e5 on 8x8) or, with margin 1, extended center (c3-f6)
+export function isCenterSquare(row, col, { width, height }, margin = 0) {
+  const [firstCol, lastCol] = middleRange(width, margin)
+  const [firstRow, lastRow] = middleRange(height, margin)
+  return col >= firstCol && col <= lastCol && row >= firstRow && row <= lastRow
+}
+
+// Rows of the half of the board a side attacks into; the middle rank of an odd-height
+// board belongs to neither half
+export function isOpponentHalf(row, color, { height }) {
+  return color === 'white' ? row < Math.floor(height / 2) : row >= Math.ceil(height / 2)
+}
+
+// Squares of each size's center and extended center, for "x of y" displays
+export function centerSquareCount(size, margin = 0) {
+  const [firstCol, lastCol] = middleRange(size.width, margin)
+  const [firstRow, lastRow] = middleRange(size.height, margin)
+  return (lastCol - firstCol + 1) * (lastRow - firstRow + 1)
+}
+
+// Statistics for both sides:
+// {
+//   size: { width, height },
+//   white / black: {
+//     controlled, opponentHalf, center, extendedCenter: squares the side attacks or defends,
+//     mobility: legal moves of all its pieces (each piece as if it were its turn),
+//     material: piece values without the king, counts: { [type]: number },
+//     pieces: [{ type, square, mobility }] in board order,
+//   },
+//   net: white minus black for each measure (material is the balance)
+// }
+export function calculatePositionStats(board, meta = null, attacks = calculateAllAttacks(board)) {
+  const size = boardSize(board)
+  const stats = Object.fromEntries(SIDES.map(side => [side, {
+    controlled: 0,
+    opponentHalf: 0,
+    center: 0,
+    extendedCenter: 0,
+    mobility: 0,
+    material: 0,
+    counts: {},
+    pieces: [],
+  }]))
+
+  attacks.forEach((cells, row) => cells.forEach((cell, col) => {
+    for (const side of SIDES) {
+      const reached = cell.attackers.some(a => a.color === side) || cell.defenders.some(d => d.color === side)
+      if (!reached) continue
+      const own = stats[side]
+      own.controlled++
+      if (isOpponentHalf(row, side, size)) own.opponentHalf++
+      if (isCenterSquare(row, col, size)) own.center++
+      if (isCenterSquare(row, col, size, 1)) own.extendedCenter++
+    }
+  }))
+
+  board.forEach((pieces, row) => pieces.forEach((piece, col) => {
+    if (!piece) return
+    const side = stats[piece.color]
+    const mobility = getPieceLegalMoves(board, meta ?? {}, row, col).length
+    side.mobility += mobility
+    side.pieces.push({ type: piece.type, square: squareName(row, col, size.height), mobility })
+    side.counts[piece.type] = (side.counts[piece.type] ?? 0) + 1
+    if (piece.type !== 'king') side.material += pieceValue(piece.type)
+  }))
+
+  return {
+    size,
+    ...stats,
+    // Rounded, as fairy piece values (2.5, 1.5) don't subtract exactly
+    net: Object.fromEntries(MEASURES.map(measure => [measure, Math.round((stats.white[measure] - stats.black[measure]) * 100) / 100])),
+  }
+}
@@ -0,0 +1,143 @@
+// Scripted stand-in for a UCI engine, for tests and demos without a real engine or
+// network. It speaks UCI through the same transport interface as the WebSocket bridge
+// (see engineClient.js) and answers "go" from a script of known positions, or else by
+// ranking the legal moves on material: what a move captures, minus what the opponent
+// then wins by static exchange, plus a centipawn per square the moved piece attacks,
+// and the best reply found the same way.
+// script maps a FEN (only the first four fields count) to lines, best first:
+//   { "<fen>": [{ "score": { "cp": 35 }, "pv": ["e2e4", "e7e5"] }, ...] }
+import { parseFen, toFen, START_FEN } from './fen.js'
+import { findUciMove, getAttackedSquares, getLegalMoves, getStaticExchange, makeMove, moveToUci, pieceValue } from './pieceLogic.js'
+import { boardSize } from './boardSize.js'
+import { MAX_MULTI_PV } from './engineClient.js'
+
+// FEN without the clocks, the key of a script entry
+function positionKey(fen) {
+  return fen.trim().split(/\s+/).slice(0, 4).join(' ')
+}
+
+// Value of a move in centipawns (the mover's view): the capture, minus what the opponent
+// then wins on the destination square, plus the moved piece's attacked squares
+function moveGain(board, meta, move) {
+  const piece = board[move.from[0]][move.from[1]]
+  const enPassant = piece.type === 'pawn' && move.from[1] !== move.to[1]
+  const captured = board[move.to[0]][move.to[1]] ?? (enPassant ? { type: 'pawn' } : null)
+  const promoted = move.promotion ? pieceValue(move.promotion) - pieceValue('pawn') : 0
+  const after = makeMove(board, meta, move)
+  const exchange = getStaticExchange(after.board, move.to[0], move.to[1])
+  const lost = exchange && exchange.gain > 0 ? exchange.gain : 0
+  const [row, col] = move.to
+  const mobility = getAttackedSquares(after.board[row][col], row, col, after.board).length
+  return { after, gain: Math.round(100 * ((captured ? pieceValue(captured.type) : 0) + promoted - lost)) + mobility }
+}
+
+// Legal moves ranked by moveGain, best first: [{ move, after, gain }]
+function rankMoves(board, meta) {
+  return getLegalMoves(board, meta)
+    .map(move => ({ move, ...moveGain(board, meta, move) }))
+    .sort((a, b) => b.gain - a.gain)
+}
+
+// The heuristic's MultiPV lines: score from the side to move, two-move principal variation
+function heuristicLines(board, meta, count) {
+  const size = boardSize(board)
+  return rankMoves(board, meta).slice(0, count).map(({ move, after, gain }) => {
+    const [reply] = rankMoves(after.board, after.meta)
+    return {
+      score: { cp: gain - (reply?.gain ?? 0) },
+      pv: [moveToUci(move, size), ...(reply ? [moveToUci(reply.move, size)] : [])],
+    }
+  })
+}
+
+// Position from a "position startpos|fen <fen> [moves ...]" command
+function readPosition(args) {
+  const movesAt = args.indexOf('moves')
+  const head = movesAt === -1 ? args : args.slice(0, movesAt)
+  const moves = movesAt === -1 ? [] : args.slice(movesAt + 1)
+  let position = parseFen(head[0] === 'fen' ? head.slice(1).join(' ') : START_FEN)
+  for (const uci of moves) {
+    const move = findUciMove(position.board, position.meta, uci)
+    if (!move) break
+    position = makeMove(position.board, position.meta, move)
+  }
+  return position
+}
+
+// A stand-in engine with the transport interface: send(line) takes a UCI command,
+// output arrives asynchronously through onLine like a real engine's would
+export function createScriptedEngine({ script = {}, name = 'Scripted engine' } = {}) {
+  const scripted = new Map(Object.entries(script).map(([fen, lines]) => [positionKey(fen), lines]))
+  let lineHandler = () => {}
+  let closeHandler = () => {}
+  let closed = false
+  let multiPv = 1
+  let position = parseFen(START_FEN)
+  // Best move of a "go infinite" search, reported on "stop"
+  let searching = null
+
+  const output = (...lines) => setTimeout(() => {
+    if (!closed) lines.forEach(line => lineHandler(line))
+  }, 0)
+
+  const go = (args) => {
+    const fen = toFen(position.board, position.meta)
+    const lines = (scripted.get(positionKey(fen)) ?? heuristicLines(position.board, position.meta, multiPv))
+      .slice(0, multiPv)
+    const depth = Number(args[args.indexOf('depth') + 1]) || 1
+    output(...lines.map((line, i) => {
+      const [kind, value] = Object.entries(line.score)[0]
+      return `info depth ${depth} multipv ${i + 1} score ${kind} ${value} nodes ${100 * (i + 1)} pv ${line.pv.join(' ')}`
+    }))
+    const best = `bestmove ${lines[0]?.pv[0] ?? '(none)'}`
+    if (args.includes('infinite')) {
+      searching = best
+    } else {
+      output(best)
+    }
+  }
+
+  const commands = {
+    uci: () => output(`id name ${name}`, 'id author chess-viz', `option name MultiPV type spin default 1 min 1 max ${MAX_MULTI_PV}`, 'uciok'),
+    isready: () => output('readyok'),
+    ucinewgame: () => { position = parseFen(START_FEN) },
+    setoption: (args) => {
+      const value = Number(args[args.indexOf('value') + 1])
+      if (args[1] === 'MultiPV' && value >= 1) multiPv = Math.min(value, MAX_MULTI_PV)
+    },
+    position: (args) => {
+      try {
+        position = readPosition(args)
+      } catch (err) {
+        output(`info string ${err.message}`)
+      }
+    },
+    go,
+    stop: () => {
+      if (searching) output(searching)
+      searching = null
+    },
+    quit: () => close(),
+  }
+
+  const close = () => {
+    if (closed) return
+    closed = true
+    setTimeout(() => closeHandler(null), 0)
+  }
+
+  return {
+    send(line) {
+      if (closed) return
+      const [command, ...args] = String(line).trim().split(/\s+/)
+      commands[command]?.(args)
+    },
+    onLine(callback) {
+      lineHandler = callback
+    },
+    onClose(callback) {
+      closeHandler = callback
+    },
+    close,
+  }
+}
@@ -0,0 +1,83 @@
+// What the square inspector lists for one square of an analyzePosition result: every
+// piece attacking or defending it up to the analysed coverage depth, by type, color and
+// origin square, least valuable first, with the ray a direct attack comes along.
+import { pieceValue } from './pieceLogic.js'
+import { getPieceTables } from './pieceDefinitions.js'
+import { squareIndex } from './attackTables.js'
+import { squareName } from './fen.js'
+import { boardSize } from './boardSize.js'
+
+// Squares a riding piece passes over from [fromRow, fromCol] to attack [toRow, toCol]:
+// the open part of the slide that ends on the target. Leapers jump and hoppers go over a
+// hurdle, so they pass over nothing ([]); neither does a rider's single step.
+export function attackRay(piece, [fromRow, fromCol], [toRow, toCol], board) {
+  const tables = getPieceTables(piece, boardSize(board))
+  if (!tables) return []
+  // Slides of the capture table, leaps being one-square slides; the shortest open one wins
+  let best = null
+  for (const ray of tables.capture.slides[squareIndex(fromRow, fromCol, tables.capture.width)]) {
+    const at = ray.findIndex(([r, c]) => r === toRow && c === toCol)
+    if (at === -1) continue
+    const passed = ray.slice(0, at)
+    if (passed.some(([r, c]) => board[r][c])) continue
+    if (!best || passed.length < best.length) best = passed
+  }
+  return best ?? []
+}
+
+// "White knight f3"
+export function describeInspectionEntry({ color, type, square }) {
+  return `${color === 'white' ? 'White' : 'Black'} ${type} ${square}`
+}
+
+// Attackers and defenders of [row, col]:
+// {
+//   row, col, square, piece: { type, color } or null,
+//   attackers / defenders: [{ idx, type, color, row, col, square, depth, ray }]
+//     depth 1 attacks now, depth N after N-1 moves of that piece; ray is attackRay for
+//     depth 1 and [] beyond (the piece has to move first),
+// }
+// Defenders are pieces of the occupant's color; deeper entries of that color count as
+// defenders too. Lists are ordered by piece value, then depth.
+export function inspectSquare(analysis, row, col) {
+  const { board, attacks, pieces } = analysis
+  const { height } = boardSize(board)
+  const occupant = board[row][col]
+  const cell = attacks[row][col]
+  const levels = cell.byDepth ?? { 1: cell }
+
+  const attackers = []
+  const defenders = []
+  Object.entries(levels).forEach(([level, { attackers: reaching, defenders: defending }]) => {
+    const depth = Number(level)
+    for (const { idx } of [...reaching, ...defending]) {
+      const source = pieces[idx]
+      if (!source) continue
+      const entry = {
+        idx,
+        type: source.type,
+        color: source.color,
+        row: source.row,
+        col: source.col,
+        square: squareName(source.row, source.col, height),
+        depth,
+        ray: depth === 1 ? attackRay(board[source.row][source.col], [source.row, source.col], [row, col], board) : [],
+      }
+      if (occupant && source.color === occupant.color) {
+        defenders.push(entry)
+      } else {
+        attackers.push(entry)
+      }
+    }
+  })
+
+  const order = (a, b) => pieceValue(a.type) - pieceValue(b.type) || a.depth - b.depth || a.idx - b.idx
+  return {
+    row,
+    col,
+    square: squareName(row, col, height),
+    piece: occupant && { type: occupant.type, color: occupant.color },
+    attackers: attackers.sort(order),
+    defenders: defenders.sort(order),
+  }
+}
@@ -0,0 +1,165 @@
+// What a single square shows for the current display toggles: filtered attackers and
+// defenders per depth, heat color, contested counts. Shared by the on-screen board
+// and the image export so both always draw the same thing.
+import { HEAT_COLORS } from './pieceLogic.js'
+
+// Display toggles that affect what a square shows
+export const DEFAULT_VIEW_OPTIONS = {
+  distinctMode: true,
+  coverageDepth: 1,
+  selectedOnly: false,
+  selectedPieces: new Set(),
+  showWhiteControl: true,
+  showBlackControl: true,
+}
+
+// Get heat map background color based on attack count
+export function getHeatColor(count) {
+  if (count === 0) return null
+  const idx = Math.min(count, HEAT_COLORS.length - 1)
+  return HEAT_COLORS[idx]
+}
+
+// How strongly a coverage depth is drawn: full for current attacks, fading with
+// every extra move needed
+export function getDepthFade(depth) {
+  return 1 / depth
+}
+
+// Overlay for squares only reached at a deeper coverage depth: dashed border for
+// +1 move, dotted beyond, fading with depth. In heat map mode the square is also
+// tinted by how many pieces reach it.
+export function getDepthOverlay(depth, count, distinctMode) {
+  const fade = getDepthFade(depth)
+  return {
+    dashed: depth === 2,
+    borderOpacity: 0.8 * fade,
+    fill: distinctMode ? null : HEAT_COLORS[Math.min(count, HEAT_COLORS.length - 1)],
+    fillOpacity: fade,
+  }
+}
+
+// Inline CSS for a depth overlay (on-screen board and depth legend)
+export function getDepthOverlayStyle(depth, count, distinctMode) {
+  const { borderOpacity, fill, fillOpacity } = getDepthOverlay(depth, count, distinctMode)
+  const alpha = Math.round(fillOpacity * 255).toString(16).padStart(2, '0')
+  return {
+    borderColor: `rgba(255, 255, 255, ${borderOpacity.toFixed(2)})`,
+    backgroundColor: fill ? `${fill}${alpha}` : 'transparent',
+  }
+}
+
+// Filter by selection if enabled
+// items is array of {idx, color} objects
+export function filterBySelection(items, { selectedOnly, selectedPieces }) {
+  if (!items) return []
+  if (!selectedOnly) return items
+  if (selectedPieces.size === 0) return []
+  return items.filter(item => selectedPieces.has(item.idx))
+}
+
+// Whether a side's control is switched on
+export function isSideVisible(color, { showWhiteControl, showBlackControl }) {
+  return (color === 'white' && showWhiteControl) || (color === 'black' && showBlackControl)
+}
+
+// Get raw (unfiltered) attackers for contested calculation
+function getRawAttackers(cell) {
+  if (!cell) return []
+
+  if (Array.isArray(cell)) {
+    return cell.map(idx => ({ idx, color: 'white' }))
+  }
+
+  if (cell.attackers && !cell.byDepth) {
+    return cell.attackers || []
+  }
+
+  // Format with coverage depths - get depth 1 attackers
+  return cell.byDepth?.[1]?.attackers || []
+}
+
+// Get attackers and defenders for a square across depths
+function getSquareInfo(cell, options) {
+  if (!cell) return { attackers: [], defenders: [], byDepth: {}, rawAttackers: [] }
+
+  const { selectedOnly, selectedPieces, coverageDepth } = options
+
+  // Get raw attackers for contested calculation (unfiltered)
+  const rawAttackers = getRawAttackers(cell)
+
+  // Handle old array format (backwards compat) - convert to new format
+  if (Array.isArray(cell)) {
+    const filtered = cell.filter(idx => !selectedOnly || selectedPieces.size === 0 || selectedPieces.has(idx))
+      .map(idx => ({ idx, color: 'white' })) // assume white for old format
+    return { attackers: filtered, defenders: [], byDepth: { 1: { attackers: filtered, defenders: [] } }, rawAttackers }
+  }
+
+  // Handle new format with attackers/defenders (non-depth)
+  if (cell.attackers && !cell.byDepth) {
+    const attackers = filterBySelection(cell.attackers, options)
+    const defenders = filterBySelection(cell.defenders, options)
+    return { attackers, defenders, byDepth: { 1: { attackers, defenders } }, rawAttackers }
+  }
+
+  // Format with coverage depths, limited to the depth being shown
+  const byDepth = {}
+  let allAttackers = []
+  let allDefenders = []
+
+  for (let depth = 1; depth <= coverageDepth && cell.byDepth[depth]; depth++) {
+    const attackers = filterBySelection(cell.byDepth[depth].attackers, options)
+    const defenders = depth === 1 ? filterBySelection(cell.byDepth[depth].defenders, options) : []
+    byDepth[depth] = { attackers, defenders }
+    allAttackers = [...allAttackers, ...attackers]
+    allDefenders = [...allDefenders, ...defenders]
+  }
+
+  return { attackers: allAttackers, defenders: allDefenders, byDepth, rawAttackers }
+}
+
+// Everything a square displays, for the given display options
+export function getSquareView(attacks, row, col, viewOptions = {}) {
+  const options = { ...DEFAULT_VIEW_OPTIONS, ...viewOptions }
+  const { attackers, defenders, byDepth, rawAttackers } = getSquareInfo(attacks[row]?.[col], options)
+
+  // For heat map mode
+  const depth1AttackersList = byDepth[1]?.attackers || []
+  const totalAttackers = attackers.length
+
+  // Deeper depths that add attackers, shallowest first: [{ depth, attackers }]
+  const deeperLevels = Object.keys(byDepth)
+    .map(Number)
+    .filter(depth => depth > 1 && byDepth[depth].attackers.length > 0)
+    .sort((a, b) => a - b)
+    .map(depth => ({ depth, attackers: byDepth[depth].attackers }))
+
+  // Count white and black attackers from RAW (unfiltered) data for contested
+  const rawWhiteAttackers = rawAttackers.filter(a => a.color === 'white').length
+  const rawBlackAttackers = rawAttackers.filter(a => a.color === 'black').length
+  const isContested = rawWhiteAttackers > 0 && rawBlackAttackers > 0
+
+  // Filter attackers by color control settings
+  const visibleDepth1Attackers = depth1AttackersList.filter(a => isSideVisible(a.color, options))
+
+  // Heat map background color (only for visible attackers in heat mode)
+  const heatColor = !options.distinctMode && visibleDepth1Attackers.length > 0
+    ? getHeatColor(visibleDepth1Attackers.length)
+    : null
+
+  // Check if all visible depth1 attackers are black (for styling)
+  const allVisibleBlack = visibleDepth1Attackers.length > 0 && visibleDepth1Attackers.every(a => a.color === 'black')
+
+  return {
+    attackers,
+    defenders,
+    deeperLevels,
+    totalAttackers,
+    rawWhiteAttackers,
+    rawBlackAttackers,
+    isContested,
+    visibleDepth1Attackers,
+    heatColor,
+    allVisibleBlack,
+  }
+}
@@ -0,0 +1,92 @@
+// Start positions offered by the start menu, the URL (start=) and ChessViz.setupPosition:
+//   "classical"     the standard start of the board size (8x8 chess, Capablanca on 10x8, ...)
+//   "960-<n>"       Chess960 position n (0-959) in Scharnagl's numbering; 518 is classical
+//   "random"        a random Chess960 position (resolves to its "960-<n>" id)
+//   "custom:<name>" a start saved by the user ({ name, fen } entries)
+// Chess960 castling (king and rook jumping to the g/c and f/d files) isn't modelled, so
+// Chess960 starts other than 518 come without castling rights: their castling paths,
+// legal moves and king safety differ from the real game's. The start menu says so, and
+// their labels (history entries) carry "no castling".
+import { parseFen, startPosition, toFen } from './fen.js'
+import { DEFAULT_BOARD_SIZE } from './boardSize.js'
+
+export const CHESS960_COUNT = 960
+export const CLASSICAL_CHESS960 = 518
+
+// Knights, rooks and king on the five files left after bishops and queen, by n % 10
+const KNIGHT_PLACEMENTS = ['NNRKR', 'NRNKR', 'NRKNR', 'NRKRN', 'RNNKR', 'RNKNR', 'RNKRN', 'RKNNR', 'RKNRN', 'RKRNN']
+
+const START_ID_HELP = 'expected "classical", "random", "960-<0-959>" or "custom:<name>"'
+
+// Back rank of Chess960 position `number`, white's letters from the a-file ("RNBQKBNR" for 518)
+export function chess960BackRank(number) {
+  if (!Number.isInteger(number) || number < 0 || number >= CHESS960_COUNT) {
+    throw new Error(`Invalid Chess960 number "${number}": expected 0 to ${CHESS960_COUNT - 1}`)
+  }
+  const rank = Array(8).fill(null)
+  let n = number
+  rank[(n % 4) * 2 + 1] = 'B'
+  n = Math.floor(n / 4)
+  rank[(n % 4) * 2] = 'B'
+  n = Math.floor(n / 4)
+  const empty = () => rank.flatMap((piece, file) => piece ? [] : [file])
+  rank[empty()[n % 6]] = 'Q'
+  n = Math.floor(n / 6)
+  const files = empty()
+  KNIGHT_PLACEMENTS[n].split('').forEach((piece, i) => { rank[files[i]] = piece })
+  return rank.join('')
+}
+
+export function chess960Fen(number) {
+  const rank = chess960BackRank(number)
+  const castling = number === CLASSICAL_CHESS960 ? 'KQkq' : '-'
+  return `${rank.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${rank} w ${castling} - 0 1`
+}
+
+export function randomChess960Number(random = Math.random) {
+  return Math.floor(random() * CHESS960_COUNT)
+}
+
+// Chess960 FEN -> number, built on first use
+let chess960Numbers = null
+
+// "960-<n>" when the position is exactly Chess960 start n (518 included), else null
+export function chess960StartId(board, meta) {
+  if (!chess960Numbers) {
+    chess960Numbers = new Map(Array.from({ length: CHESS960_COUNT }, (_, n) => [chess960Fen(n), n]))
+  }
+  const number = chess960Numbers.get(toFen(board, meta))
+  return number === undefined ? null : `960-${number}`
+}
+
+// Resolve a start id to { id, label, position } with position in parseFen's shape.
+// "classical" uses the given board size; customStarts are the saved { name, fen } starts.
+// Throws on unknown ids, bad Chess960 numbers and missing custom starts.
+export function resolveStart(id, { size = DEFAULT_BOARD_SIZE, customStarts = [], random = Math.random } = {}) {
+  const text = typeof id === 'number' ? `960-${id}` : String(id ?? '').trim()
+
+  if (text === 'classical') {
+    return { id: text, label: 'Classical', position: startPosition(size) }
+  }
+  if (text === 'random') {
+    return resolveStart(`960-${randomChess960Number(random)}`)
+  }
+
+  const chess960 = /^960-(\d+)$/.exec(text)
+  if (chess960) {
+    const number = Number(chess960[1])
+    const label = `Chess960 #${number}${number === CLASSICAL_CHESS960 ? '' : ' (no castling)'}`
+    return { id: `960-${number}`, label, position: parseFen(chess960Fen(number)) }
+  }
+
+  const custom = /^custom:(.+)$/.exec(text)
+  if (custom) {
+    const saved = customStarts.find(start => start.name === custom[1])
+    if (!saved) {
+      throw new Error(`Invalid start position "${text}": no saved start named "${custom[1]}"`)
+    }
+    return { id: text, label: saved.name, position: parseFen(saved.fen) }
+  }
+
+  throw new Error(`Invalid start position "${id}": ${START_ID_HELP}`)
+}
@@ -0,0 +1,36 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseFen, startPosition } from './fen.js'
+import { chess960BackRank, chess960Fen, chess960StartId, resolveStart } from './startPositions.js'
+
+test('Chess960 numbers follow the Scharnagl numbering', () => {
+  assert.equal(chess960BackRank(518), 'RNBQKBNR')
+  assert.equal(chess960BackRank(0), 'BBQNNRKR')
+  assert.equal(chess960BackRank(959), 'RKRNNQBB')
+  assert.throws(() => chess960BackRank(960), /^Error: Invalid Chess960 number "960"/)
+})
+
+test('only the classical Chess960 start keeps castling rights', () => {
+  assert.equal(parseFen(chess960Fen(518)).meta.castling, 'KQkq')
+  assert.equal(parseFen(chess960Fen(0)).meta.castling, '')
+  assert.equal(resolveStart('960-518').label, 'Chess960 #518')
+  assert.equal(resolveStart(12).label, 'Chess960 #12 (no castling)')
+})
+
+test('start ids resolve, and Chess960 starts are recognized again', () => {
+  const { id, position } = resolveStart('random', { random: () => 0.5 })
+  assert.equal(id, '960-480')
+  assert.equal(chess960StartId(position.board, position.meta), '960-480')
+
+  const classical = startPosition()
+  assert.equal(chess960StartId(classical.board, classical.meta), '960-518')
+  assert.throws(() => resolveStart('960-1000'), /^Error: Invalid Chess960 number/)
+  assert.throws(() => resolveStart('bogus'), /^Error: Invalid start/)
+})
+
+test('custom starts are looked up by name', () => {
+  const customStarts = [{ name: 'Rooks', fen: '4k3/8/8/8/8/8/8/R3K2R w KQ - 0 1' }]
+  const { position } = resolveStart('custom:Rooks', { customStarts })
+  assert.equal(position.meta.castling, 'KQ')
+  assert.throws(() => resolveStart('custom:Nope', { customStarts }), /no saved start named "Nope"/)
+})
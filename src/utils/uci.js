@@ -0,0 +1,77 @@
+// UCI protocol helpers shared by the engine client, the scripted stand-in engine and
+// the bridge: reading "info" and "bestmove" lines, scores and principal variations.
+import { findUciMove, makeMove } from './pieceLogic.js'
+import { squareName } from './fen.js'
+import { boardSize } from './boardSize.js'
+
+// Fields of an "info" line that take one value; "pv" takes the rest of the line
+const INFO_NUMBERS = ['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'time']
+
+// Parse an "info" line carrying a score and principal variation:
+// { depth, multipv, score: { cp } | { mate }, bound, pv: [uci...], nodes, ... }
+// Returns null for other lines (info strings, currmove updates, ...).
+export function parseInfoLine(line) {
+  const tokens = String(line).trim().split(/\s+/)
+  if (tokens[0] !== 'info' || tokens[1] === 'string') return null
+
+  const info = { multipv: 1, pv: [] }
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i]
+    if (INFO_NUMBERS.includes(token)) {
+      info[token] = Number(tokens[++i])
+    } else if (token === 'score') {
+      const kind = tokens[++i]
+      const value = Number(tokens[++i])
+      if (kind === 'cp' || kind === 'mate') info.score = { [kind]: value }
+      if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') info.bound = tokens[++i]
+    } else if (token === 'pv') {
+      info.pv = tokens.slice(i + 1)
+      break
+    }
+  }
+  return info.score && info.pv.length ? info : null
+}
+
+// Parse "bestmove e2e4 ponder e7e5" into { move, ponder }, or null for other lines.
+// An engine with no legal move answers "bestmove (none)" (move is null).
+export function parseBestMove(line) {
+  const tokens = String(line).trim().split(/\s+/)
+  if (tokens[0] !== 'bestmove') return null
+  const move = tokens[1] && tokens[1] !== '(none)' ? tokens[1] : null
+  return { move, ponder: tokens[2] === 'ponder' ? tokens[3] ?? null : null }
+}
+
+// UCI scores are from the side to move; turn them to white's point of view
+export function whiteScore(score, turn) {
+  if (turn === 'white') return score
+  return score.mate !== undefined ? { mate: -score.mate } : { cp: -score.cp }
+}
+
+// "+0.35", "-1.20", "#3" (white mates in 3), "-#2" (black mates in 2) for a white-POV score
+export function formatScore(score) {
+  if (score.mate !== undefined) return `${score.mate < 0 ? '-' : ''}#${Math.abs(score.mate)}`
+  const pawns = score.cp / 100
+  return `${pawns > 0 ? '+' : ''}${pawns.toFixed(2)}`
+}
+
+// Share of the evaluation bar that is white's (0-1) for a white-POV score: a logistic
+// curve of the centipawns, so +4 pawns fills about 90%. Mates fill it completely.
+export function evalBarFraction(score) {
+  if (score.mate !== undefined) return score.mate > 0 ? 1 : 0
+  return 1 / (1 + 10 ** (-score.cp / 400))
+}
+
+// Play a principal variation from a position: [{ uci, from, to, board, meta }] with
+// square names, one entry per move, stopping at the first move that isn't legal
+export function replayPv(board, meta, pv) {
+  const { height } = boardSize(board)
+  const moves = []
+  let position = { board, meta }
+  for (const uci of pv) {
+    const move = findUciMove(position.board, position.meta, uci)
+    if (!move) break
+    position = makeMove(position.board, position.meta, move)
+    moves.push({ uci, from: squareName(...move.from, height), to: squareName(...move.to, height), ...position })
+  }
+  return moves
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseFen, START_FEN } from './fen.js'
+import { evalBarFraction, formatScore, parseBestMove, parseInfoLine, replayPv, whiteScore } from './uci.js'
+
+test('info lines with a score and pv are read', () => {
+  const info = parseInfoLine('info depth 20 seldepth 28 multipv 2 score cp -35 upperbound nodes 1000 pv e7e5 g1f3')
+  assert.equal(info.depth, 20)
+  assert.equal(info.multipv, 2)
+  assert.deepEqual(info.score, { cp: -35 })
+  assert.equal(info.bound, 'upperbound')
+  assert.deepEqual(info.pv, ['e7e5', 'g1f3'])
+
+  assert.equal(parseInfoLine('info string NNUE enabled'), null)
+  assert.equal(parseInfoLine('info depth 5 currmove e2e4'), null)
+})
+
+test('bestmove lines are read, including engines without a move', () => {
+  assert.deepEqual(parseBestMove('bestmove e2e4 ponder e7e5'), { move: 'e2e4', ponder: 'e7e5' })
+  assert.deepEqual(parseBestMove('bestmove (none)'), { move: null, ponder: null })
+  assert.equal(parseBestMove('readyok'), null)
+})
+
+test('scores are turned to white\'s view and formatted', () => {
+  assert.deepEqual(whiteScore({ cp: 35 }, 'black'), { cp: -35 })
+  assert.deepEqual(whiteScore({ mate: 2 }, 'black'), { mate: -2 })
+  assert.equal(formatScore({ cp: 35 }), '+0.35')
+  assert.equal(formatScore({ mate: -2 }), '-#2')
+  assert.equal(evalBarFraction({ cp: 0 }), 0.5)
+  assert.equal(evalBarFraction({ mate: 3 }), 1)
+})
+
+test('a pv is replayed up to its first illegal move', () => {
+  const { board, meta } = parseFen(START_FEN)
+  const moves = replayPv(board, meta, ['e2e4', 'e7e5', 'e1e3', 'g1f3'])
+  assert.deepEqual(moves.map(m => `${m.from}-${m.to}`), ['e2-e4', 'e7-e5'])
+  assert.equal(moves[1].meta.turn, 'white')
+})
@@ -0,0 +1,185 @@
+// Shareable view state in the query string: position, piece identities, selection,
+// display toggles and annotations. Values equal to the defaults are left out.
+// The board size travels in the FEN; size= picks it for pieces= links, or alone
+// starts from that size's start position. Chess960 starts are written as start=960-<n>.
+import { parseFen, parsePieceList, parseSquare, squareName, startPosition, toFen, START_FEN } from './fen.js'
+import { chess960StartId, resolveStart } from './startPositions.js'
+import { boardSize, isDefaultSize, parseBoardSize, DEFAULT_BOARD_SIZE } from './boardSize.js'
+import { parseAnnotations, serializeAnnotations, EMPTY_ANNOTATIONS } from './annotations.js'
+import { coverageDepthLimit } from './pieceLogic.js'
+
+// View toggles kept in the URL, with the values a fresh page starts with
+export const DEFAULT_URL_VIEW = {
+  distinctMode: false,
+  coverageDepth: 1,
+  orientation: 'white',
+  showAttackCounts: false,
+  lowContrast: false,
+  showWhiteControl: true,
+  showBlackControl: true,
+  selectedOnly: true,
+  showXray: false,
+  showExchanges: false,
+  showWeakPieces: false,
+  showCastlingPaths: false,
+  showStats: false,
+  showPawnStructure: false,
+  showWhiteKingSafety: false,
+  showBlackKingSafety: false,
+}
+
+// On/off toggles: view key -> URL parameter ("1" / "0")
+const FLAG_PARAMS = {
+  distinctMode: 'distinct',
+  showAttackCounts: 'counts',
+  lowContrast: 'lowContrast',
+  showWhiteControl: 'white',
+  showBlackControl: 'black',
+  selectedOnly: 'selectedOnly',
+  showXray: 'xray',
+  showExchanges: 'exchanges',
+  showWeakPieces: 'weak',
+  showCastlingPaths: 'castling',
+  showStats: 'stats',
+  showPawnStructure: 'pawns',
+  showWhiteKingSafety: 'whiteKing',
+  showBlackKingSafety: 'blackKing',
+}
+
+function parseFlag(value, fallback) {
+  if (value === '1' || value === 'true') return true
+  if (value === '0' || value === 'false') return false
+  return fallback
+}
+
+// Pieces in board order (last rank to rank 1, a-file onwards), the order FEN lists them
+function piecesInOrder(board) {
+  return board.flat().filter(Boolean)
+}
+
+// Piece indices pick each piece's color on the board. FEN parsing numbers pieces in
+// board order, so ids= is only written when the board's numbering differs from that.
+function serializePieceIds(board) {
+  const pieces = piecesInOrder(board)
+  const inOrder = pieces.every((piece, i) => piece.pieceIndex === i)
+  return inOrder ? null : pieces.map(p => p.pieceIndex).join('.')
+}
+
+function applyPieceIds(board, idsParam) {
+  const ids = idsParam.split('.').map(Number)
+  const pieces = piecesInOrder(board)
+  if (ids.length !== pieces.length || ids.some(id => !Number.isInteger(id) || id < 0)) {
+    throw new Error(`Invalid ids "${idsParam}": expected one number per piece (${pieces.length})`)
+  }
+  pieces.forEach((piece, i) => {
+    piece.pieceIndex = ids[i]
+  })
+  return Math.max(-1, ...ids) + 1
+}
+
+// Read the view state from a query string.
+// position is { board, nextIndex, meta } or null when the URL has no position;
+// error describes the first malformed parameter (the rest still load).
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search)
+  let position = null
+  let error = null
+
+  try {
+    const fenParam = params.get('fen')
+    const piecesParam = params.get('pieces')
+    const startParam = params.get('start')
+    const sizeParam = params.get('size')
+    const size = sizeParam ? parseBoardSize(sizeParam) : DEFAULT_BOARD_SIZE
+    if (fenParam) {
+      position = parseFen(fenParam)
+    } else if (piecesParam) {
+      position = { ...parsePieceList(piecesParam, size), meta: null }
+    } else if (startParam) {
+      position = resolveStart(startParam, { size }).position
+    } else if (!isDefaultSize(size)) {
+      position = startPosition(size)
+    }
+    if (position && params.get('ids')) {
+      position.nextIndex = applyPieceIds(position.board, params.get('ids'))
+    }
+  } catch (err) {
+    position = null
+    error = err.message
+  }
+
+  const view = { ...DEFAULT_URL_VIEW }
+  Object.entries(FLAG_PARAMS).forEach(([key, param]) => {
+    view[key] = parseFlag(params.get(param), DEFAULT_URL_VIEW[key])
+  })
+  // Depths past the deepest one the position can use add nothing, so they are cut back
+  const depth = parseInt(params.get('depth'))
+  if (depth >= 1) {
+    const shown = position ?? startPosition()
+    view.coverageDepth = Math.min(depth, coverageDepthLimit(shown.board, shown.meta ?? undefined))
+  }
+  if (params.get('orientation') === 'black') view.orientation = 'black'
+
+  const selectedSquares = (params.get('selected') || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(s => parseSquare(s, position ? boardSize(position.board) : DEFAULT_BOARD_SIZE))
+
+  let annotations = EMPTY_ANNOTATIONS
+  try {
+    annotations = parseAnnotations(params.get('annotations'))
+  } catch (err) {
+    error = error ?? err.message
+  }
+
+  return { position, error, view, selectedSquares, annotations }
+}
+
+// Piece indices of the pieces standing on the given squares
+export function selectionFromSquares(board, squares) {
+  const selected = new Set()
+  squares.forEach(square => {
+    const [row, col] = parseSquare(square, boardSize(board))
+    const piece = board[row][col]
+    if (piece) selected.add(piece.pieceIndex)
+  })
+  return selected
+}
+
+// Keep "," and "/" readable in links; everything else is encoded
+function encodeParam(value) {
+  return encodeURIComponent(value).replace(/%2C/g, ',').replace(/%2F/g, '/')
+}
+
+// Build the query string ("" or "?...") for the given view state
+export function buildUrlSearch({ board, meta, view, selectedPieces, annotations }) {
+  const params = []
+  const add = (key, value) => params.push(`${key}=${encodeParam(value)}`)
+
+  const fen = toFen(board, meta)
+  const ids = serializePieceIds(board)
+  const start = ids || fen === START_FEN ? null : chess960StartId(board, meta)
+  if (start) {
+    add('start', start)
+  } else if (fen !== START_FEN || ids) {
+    add('fen', fen)
+  }
+  if (ids) add('ids', ids)
+
+  Object.entries(FLAG_PARAMS).forEach(([key, param]) => {
+    if (view[key] !== DEFAULT_URL_VIEW[key]) add(param, view[key] ? '1' : '0')
+  })
+  if (view.coverageDepth !== DEFAULT_URL_VIEW.coverageDepth) add('depth', view.coverageDepth)
+  if (view.orientation !== DEFAULT_URL_VIEW.orientation) add('orientation', view.orientation)
+
+  const selected = []
+  board.forEach((row, r) => row.forEach((piece, c) => {
+    if (piece && selectedPieces.has(piece.pieceIndex)) selected.push(squareName(r, c, board.length))
+  }))
+  if (selected.length) add('selected', selected.join(','))
+
+  const drawn = serializeAnnotations(annotations)
+  if (drawn) add('annotations', drawn)
+
+  return params.length ? `?${params.join('&')}` : ''
+}
@@ -0,0 +1,25 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseFen, startPosition } from './fen.js'
+import { coverageDepthLimit } from './pieceLogic.js'
+import { parseUrlState } from './urlState.js'
+
+test('depth is read from the URL', () => {
+  assert.equal(parseUrlState('?depth=2').view.coverageDepth, 2)
+  assert.equal(parseUrlState('?depth=0').view.coverageDepth, 1)
+  assert.equal(parseUrlState('?depth=x').view.coverageDepth, 1)
+})
+
+test('a huge depth is cut back to what the start position can use', () => {
+  const limit = coverageDepthLimit(startPosition().board)
+  assert.equal(parseUrlState('?depth=1000000000').view.coverageDepth, limit)
+})
+
+test('the depth limit follows the position in the URL', () => {
+  const fen = '8/8/8/8/8/8/8/K6k w - - 0 1'
+  const { board, meta } = parseFen(fen)
+  const limit = coverageDepthLimit(board, meta)
+  assert.ok(limit > 1)
+  const { view } = parseUrlState(`?fen=${encodeURIComponent(fen)}&depth=500`)
+  assert.equal(view.coverageDepth, limit)
+})
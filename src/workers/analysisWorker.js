@@ -0,0 +1,10 @@
+// Deep coverage analysis off the main thread, so dragging stays smooth while it runs.
+// Message in: { key, position, options, pieces }; message out: { key, analysis }.
+// pieces are the fairy piece definitions of the page, registered before analyzing.
+import { analyzePosition } from '../utils/analysis.js'
+import { definePiece } from '../utils/pieceDefinitions.js'
+
+self.onmessage = ({ data: { key, position, options, pieces = [] } }) => {
+  pieces.forEach(definePiece)
+  self.postMessage({ key, analysis: analyzePosition(position, options) })
+}